@@ -55,12 +55,21 @@ async function initializeApp() {
 program
   .command('song')
   .description('Process a single song and get lyrics with vocalist analysis')
-  .argument('<artist>', 'Artist name')
-  .argument('<title>', 'Song title')
+  .argument('[artist]', 'Artist name (optional with --genius-id or --url)')
+  .argument('[title]', 'Song title (optional with --genius-id or --url)')
   .option('--token <token>', 'Genius API token (or use GENIUS_ACCESS_TOKEN env var)')
+  .option('--genius-id <id>', 'Use the Genius song with this ID instead of searching')
+  .option('--url <genius-url>', 'Use the song on this Genius page instead of searching')
   .option('--output-dir <dir>', 'Output directory', 'output')
   .option('--format <format>', 'Output format: json, txt, both', 'both')
   .option('--no-parse', 'Skip vocalist parsing, just get raw lyrics')
+  .option('--group-mode <mode>', 'How group lines ("All") are credited: full, split, group')
+  .option('--track-duets', 'Also report statistics for duo pairings')
+  .option('--share-metric <metric>', 'Lead metric that counts as share of the song: lines, words, syllables')
+  .option('--duration <length>', 'Track length (seconds or m:ss) used to estimate seconds sung')
+  .option('--unique-only', 'Base percentages on unique lines, ignoring repeats')
+  .option('--annotations', 'Fetch Genius annotations and attach them to the lyric lines they cover')
+  .option('--keep-raw', 'Also save the lyrics as extracted, before page furniture is stripped')
   .action(async (artist, title, options) => {
     await initializeApp();
     await songCommand.execute(artist, title, options);
@@ -74,9 +83,19 @@ program
   .option('--token <token>', 'Genius API token (or use GENIUS_ACCESS_TOKEN env var)')
   .option('--output-dir <dir>', 'Output directory', 'output')
   .option('--format <format>', 'Output format: json, txt, both', 'both')
-  .option('--release-index <index>', 'Which release to use if multiple found', '0')
+  .option('--source <source>', 'Where the tracklist comes from: musicbrainz, genius, auto')
+  .option('--release-index <index>', 'Use this place in the release ranking instead of the best-scoring release')
+  .option('--prefer-country <codes>', 'Comma-separated release countries to prefer, best first (e.g. US,GB)')
+  .option('--list-releases', 'List the matching MusicBrainz releases, best first, without processing')
+  .option('--interactive', 'Pick the release from the list and remember the choice for later runs')
   .option('--delay <ms>', 'Delay between song requests in milliseconds', '1500')
   .option('--skip-failed', 'Continue processing if individual songs fail')
+  .option('--overrides <file>', 'JSON file naming the Genius song (geniusId, url, or search title/artist) for specific tracks')
+  .option('--group-mode <mode>', 'How group lines ("All") are credited: full, split, group')
+  .option('--track-duets', 'Also report statistics for duo pairings')
+  .option('--share-metric <metric>', 'Lead metric that counts as share of the song: lines, words, syllables')
+  .option('--unique-only', 'Base percentages on unique lines, ignoring repeats')
+  .option('--keep-raw', 'Keep each song\'s lyrics as extracted, before page furniture is stripped, in the album JSON')
   .action(async (artist, album, options) => {
     await initializeApp();
     await albumCommand.execute(artist, album, options);
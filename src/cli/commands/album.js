@@ -1,28 +1,216 @@
 const path = require('path');
-const { getAlbumData } = require('../../scrapers/musicbrainz.js');
-const { searchSong, fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } = require('../../scrapers/genius.js');
-const { parseLyricsWithVocalists, generateStatsSummary } = require('../../processors/lyrics.js');
-const { aggregateAlbumStats, generateAlbumInsights, createAlbumReport } = require('../../processors/album-stats.js');
-const { getOutputDir, createAlbumFilePaths, writeJSONFile, writeFile } = require('../../utils/file.js');
+const { getAlbumData, findReleases, summarizeRelease, DEFAULT_RELEASE_PREFERENCES } = require('../../scrapers/musicbrainz.js');
+const { findBestMatch, fetchSongByReference, getSongById, normalizeSongMetadata, getGeniusAlbumData, DEFAULT_MATCH_OPTIONS, DEFAULT_ALBUM_MATCH_OPTIONS, fetchPageHTML, classifyLyricsPage, PAGE_STATUS_MESSAGES } = require('../../scrapers/genius.js');
+const { parseLyricsWithVocalists, generateStatsSummary, rankSectionVocalists } = require('../../processors/lyrics.js');
+const { aggregateAlbumStats, generateAlbumInsights, createAlbumReport, NON_VOCAL_STATUSES } = require('../../processors/album-stats.js');
+const { getOutputDir, createAlbumFilePaths, writeJSONFile, writeFile, readJSONFile } = require('../../utils/file.js');
 const { createAPIRateLimiter } = require('../../utils/http.js');
-const { logStatus, logVerbose, logError, createProgressBar, formatDuration, displayTable } = require('../utils/progress.js');
+const { logStatus, logVerbose, logError, createProgressBar, formatDuration, displayTable, formatColumns, promptInput } = require('../utils/progress.js');
+const { buildParseOptions, buildSummaryOptions, buildFurnitureOptions } = require('../utils/lyrics-options.js');
+
+/**
+ * Where the album and its tracklist come from
+ * - musicbrainz: MusicBrainz releases (with track lengths); songs are searched on Genius
+ * - genius:      Genius album search and tracklist; songs come with the tracklist
+ * - auto:        MusicBrainz, falling back to Genius when it has no usable release
+ */
+const ALBUM_SOURCES = ['musicbrainz', 'genius', 'auto'];
+
+/**
+ * Get an album's release details and tracklist from the chosen source
+ * @param {string} artist - Artist name
+ * @param {string} album - Album name
+ * @param {string} source - Tracklist source (see ALBUM_SOURCES)
+ * @param {Object} options - { releaseIndex, releaseId, preferences, accessToken }
+ * @returns {Promise<Object>} { release, songs, source }
+ */
+async function getTracklist(artist, album, source, options) {
+  if (source !== 'genius') {
+    try {
+      logStatus('info', 'Searching MusicBrainz for album...');
+      const albumData = await getAlbumData(artist, album, { selectIndex: options.releaseIndex, releaseId: options.releaseId, preferences: options.preferences });
+      if (albumData.ranking) {
+        logReleaseRanking(albumData.ranking, albumData.selected);
+      }
+      if (albumData.songs.length > 0 || source === 'musicbrainz') {
+        return { ...albumData, source: 'musicbrainz' };
+      }
+      throw new Error('MusicBrainz release has no tracks');
+    } catch (error) {
+      if (source === 'musicbrainz') throw error;
+      logStatus('warning', `${error.message}; trying Genius instead`);
+    }
+  }
+  
+  logStatus('info', 'Searching Genius for album...');
+  const albumData = await getGeniusAlbumData(artist, album, options.accessToken, global.APP_CONFIG.get('apis.genius.albumSearch', DEFAULT_ALBUM_MATCH_OPTIONS));
+  logStatus('success', `Genius album: "${albumData.release.title}" (match score ${albumData.release.matchScore})`);
+  return { ...albumData, source: 'genius' };
+}
+
+/**
+ * Build the MusicBrainz release preferences from config and command options
+ * @param {Object} options - Command options (preferCountry: comma-separated country codes)
+ * @returns {Object} Release preferences ({ countries, formats, weights })
+ */
+function buildReleasePreferences(options) {
+  const configured = global.APP_CONFIG.get('processing.album.releasePreferences', {});
+  const preferences = {
+    ...DEFAULT_RELEASE_PREFERENCES,
+    ...configured,
+    weights: { ...DEFAULT_RELEASE_PREFERENCES.weights, ...configured.weights }
+  };
+  
+  if (options.preferCountry) {
+    preferences.countries = options.preferCountry.split(',').map(country => country.trim().toUpperCase()).filter(Boolean);
+  }
+  
+  return preferences;
+}
+
+/**
+ * Describe a MusicBrainz release in one line
+ * @param {Object} release - MusicBrainz release from a search
+ * @returns {string} Title, country, date, formats and status
+ */
+function describeRelease(release) {
+  const summary = summarizeRelease(release);
+  return `${summary.title} (${[summary.country || 'no country', summary.date || 'no date', summary.format || 'unknown format', summary.status || 'no status'].join(', ')})`;
+}
+
+/**
+ * Format the release ranking as a table
+ * @param {Array} ranking - Ranking from rankReleases
+ * @returns {string} Table with one row per release, numbered by place in the ranking
+ */
+function formatReleaseTable(ranking) {
+  return formatColumns(
+    ['#', 'Title', 'Date', 'Country', 'Status', 'Format', 'Tracks', 'Score'],
+    ranking.map((entry, index) => {
+      const summary = summarizeRelease(entry.release);
+      return [index, summary.title, summary.date, summary.country, summary.status, summary.format, summary.trackCount, entry.score];
+    })
+  );
+}
+
+/**
+ * Key under which the release picked for an album is remembered
+ * @param {string} artist - Artist name
+ * @param {string} album - Album name
+ * @returns {string} Lowercased "artist|album"
+ */
+function releaseChoiceKey(artist, album) {
+  return `${artist.trim()}|${album.trim()}`.toLowerCase();
+}
+
+/**
+ * Ask the user to pick a release from the ranking
+ * @param {Array} ranking - Ranking from rankReleases
+ * @returns {Promise<Object>} The chosen ranking entry
+ */
+async function promptReleaseChoice(ranking) {
+  for (;;) {
+    const answer = await promptInput(`\nPick a release [0-${ranking.length - 1}] (Enter for 0): `);
+    if (answer === null) {
+      logError('No release picked', null, true);
+    }
+    
+    const index = answer.trim() === '' ? 0 : Number(answer.trim());
+    if (Number.isInteger(index) && ranking[index]) {
+      return ranking[index];
+    }
+    console.log(`Enter a number from 0 to ${ranking.length - 1}`);
+  }
+}
+
+/**
+ * Remember the release picked for an album in the configuration file
+ * @param {string} artist - Artist name
+ * @param {string} album - Album name
+ * @param {Object} release - MusicBrainz release
+ */
+function rememberReleaseChoice(artist, album, release) {
+  const choices = { ...global.APP_CONFIG.get('processing.album.releaseChoices', {}) };
+  choices[releaseChoiceKey(artist, album)] = { releaseId: release.id, description: describeRelease(release) };
+  
+  global.APP_CONFIG.saveValue('processing.album.releaseChoices', choices);
+}
+
+/**
+ * Log how the MusicBrainz releases were ranked (verbose mode)
+ * @param {Array} ranking - Ranking from rankReleases
+ * @param {Object} selected - Ranking entry that was picked
+ */
+function logReleaseRanking(ranking, selected) {
+  logVerbose(`Release ranking (${ranking.length} candidate(s), top 5 shown):`);
+  ranking.slice(0, 5).forEach((entry, index) => {
+    logVerbose(`  ${index}. ${describeRelease(entry.release)} - score ${entry.score}: ${entry.reasons.join(', ') || 'no preferences matched'}`);
+  });
+  if (selected) {
+    logVerbose(`Picked #${ranking.indexOf(selected)}: ${describeRelease(selected.release)}`);
+  }
+}
+
+/**
+ * Load an album override file
+ *
+ * Overrides are keyed by track number or title and name the Genius song to
+ * use for that track, either directly ({ "geniusId": 378195 } or
+ * { "url": "https://genius.com/..." }) or through other search terms
+ * ({ "title": "...", "artist": "..." }).
+ *
+ * @param {string} filePath - Path to the JSON override file ({ "tracks": { ... } })
+ * @returns {Object} Overrides keyed by lowercased track number or title
+ * @throws {Error} If the file can't be read or an override is invalid
+ */
+function loadTrackOverrides(filePath) {
+  const data = readJSONFile(filePath);
+  if (!data || typeof data.tracks !== 'object' || data.tracks === null) {
+    throw new Error(`Override file ${filePath} must be JSON with a "tracks" object`);
+  }
+  
+  const overrides = {};
+  Object.entries(data.tracks).forEach(([track, override]) => {
+    if (override.geniusId && override.url) {
+      throw new Error(`Override for "${track}" gives both geniusId and url`);
+    }
+    if (!override.geniusId && !override.url && !override.title && !override.artist) {
+      throw new Error(`Override for "${track}" needs a geniusId, url, title or artist`);
+    }
+    overrides[track.toLowerCase()] = override;
+  });
+  
+  return overrides;
+}
 
 /**
  * Process a single song as part of album processing
- * @param {Object} song - Song object with artist, title, trackNumber
+ * @param {Object} song - Song object with artist, title, trackNumber and an optional override from loadTrackOverrides
  * @param {string} accessToken - Genius API token
  * @param {Object} rateLimiter - Rate limiter instance
- * @param {string} albumName - Album name for better search accuracy
+ * @param {string} albumName - Album name, used to tell versions of the song apart
+ * @param {Object} parseOptions - Options passed to parseLyricsWithVocalists
+ * @param {Object} summaryOptions - Options passed to generateStatsSummary
+ * @param {Object} matchOptions - Options passed to findBestMatch (minScore, maxPages)
+ * @param {Object} pageOptions - Lyrics page options: furniture (passed to stripPageFurniture) and keepRaw
  * @returns {Object} Song processing result
  */
-async function processSongForAlbum(song, accessToken, rateLimiter, albumName) {
+async function processSongForAlbum(song, accessToken, rateLimiter, albumName, parseOptions = {}, summaryOptions = {}, matchOptions = DEFAULT_MATCH_OPTIONS, pageOptions = {}) {
   const startTime = Date.now();
   
   try {
-    // Use the proven searchSong function (without album name for better results)
-    const searchResults = await searchSong(song.artist, song.title, accessToken);
+    // Overrides win; then a Genius tracklist's own songs; otherwise the song is searched for
+    const override = song.override || {};
+    let best;
+    if (override.geniusId || override.url) {
+      best = { ...await fetchSongByReference(override, accessToken), match: { source: override.geniusId ? 'genius-id' : 'url' } };
+    } else if (song.geniusSong && !override.title && !override.artist) {
+      best = { song: song.geniusSong, match: { source: 'album' } };
+    } else {
+      best = await findBestMatch(override.artist || song.artist, override.title || song.title, accessToken, { ...matchOptions, albumName });
+    }
     
-    if (!searchResults.length) {
+    if (!best) {
       return {
         success: false,
         title: song.title,
@@ -32,26 +220,57 @@ async function processSongForAlbum(song, accessToken, rateLimiter, albumName) {
       };
     }
     
-    // Use the first (most relevant) result from the proven search function
-    const foundSong = searchResults[0];
+    const foundSong = best.song;
+    
+    // Search and album-listing hits are trimmed; a failed lookup of the full record only costs the extra metadata
+    const fullSong = best.match.source === 'search' || best.match.source === 'album'
+      ? await getSongById(foundSong.id, accessToken).catch(() => foundSong)
+      : foundSong;
+    
+    // Fetch and process lyrics (resolving an override URL may have fetched the page already)
+    const htmlContent = best.htmlContent || await fetchPageHTML(foundSong.url);
+    const { status, extracted, rawContent, cleanedContent, removedFurniture } = classifyLyricsPage(htmlContent, fullSong, pageOptions.furniture);
     
-    // Fetch and process lyrics
-    const htmlContent = await fetchPageHTML(foundSong.url);
-    const extracted = extractLyricsFromHTML(htmlContent);
-    const cleanedContent = cleanLyricsHTML(extracted.rawHTML);
+    // Pages without lyrics are reported with their status rather than parsed
+    if (status !== 'ok') {
+      return {
+        success: false,
+        status,
+        songInfo: foundSong,
+        metadata: normalizeSongMetadata(fullSong),
+        match: best.match,
+        title: song.title,
+        trackNumber: song.trackNumber,
+        error: PAGE_STATUS_MESSAGES[status],
+        processingTime: Date.now() - startTime
+      };
+    }
     
     // Parse vocalists
-    const parseResult = parseLyricsWithVocalists(cleanedContent);
-    const vocalistStats = generateStatsSummary(parseResult.vocalistStats);
+    // MusicBrainz track lengths let the parser estimate seconds sung
+    const parseResult = parseLyricsWithVocalists(cleanedContent, { ...parseOptions, duration: song.duration || null });
+    const vocalistStats = generateStatsSummary(parseResult.vocalistStats, summaryOptions);
     
     return {
       success: true,
+      status,
       songInfo: foundSong,
+      metadata: normalizeSongMetadata(fullSong),
+      match: best.match,
       title: song.title,
       trackNumber: song.trackNumber,
       cleanedContent,
+      rawContent: pageOptions.keepRaw ? rawContent : null,
+      removedFurniture,
+      extractionStrategy: extracted.strategy,
       parsedLyrics: parseResult.parsedLyrics,
       vocalistStats,
+      duetStats: parseResult.duetStats,
+      unmatchedVocalists: parseResult.unmatchedVocalists,
+      sectionStats: parseResult.sectionStats,
+      openingVocalists: parseResult.openingVocalists,
+      diagnostics: parseResult.diagnostics,
+      timing: parseResult.timing,
       processingTime: Date.now() - startTime
     };
     
@@ -86,25 +305,62 @@ async function execute(artist, album, options) {
     
     // Set up output directory
     const outputDir = path.resolve(options.outputDir);
+    // Releases are ranked by preference; --release-index picks another place in the ranking
     const releaseIndex = parseInt(options.releaseIndex) || 0;
+    const preferences = buildReleasePreferences(options);
     const delayMs = parseInt(options.delay) || 1500;
+    const source = options.source || global.APP_CONFIG.get('processing.album.source', 'auto');
+    
+    if (!ALBUM_SOURCES.includes(source)) {
+      logError(`Invalid source "${source}". Must be one of: ${ALBUM_SOURCES.join(', ')}`, null, true);
+    }
     
     logVerbose(`Output directory: ${outputDir}`);
     logVerbose(`Format: ${options.format}`);
-    logVerbose(`Release index: ${releaseIndex}`);
+    logVerbose(`Tracklist source: ${source}`);
+    logVerbose(`Release index: ${options.releaseIndex !== undefined ? releaseIndex : 'best scoring'}`);
+    logVerbose(`Preferred countries: ${preferences.countries.join(', ') || 'none'}`);
     logVerbose(`Delay between requests: ${delayMs}ms`);
     logVerbose(`Skip failed songs: ${options.skipFailed}`);
     
-    // Step 1: Get album data from MusicBrainz
-    logStatus('info', 'Searching MusicBrainz for album...');
+    // Step 0: List the releases and let the user pick one, or reuse an earlier pick
+    const listOnly = options.listReleases && !options.interactive;
+    let releaseId = null;
+    if (options.listReleases || options.interactive) {
+      if (source === 'genius') {
+        logError('--list-releases and --interactive choose between MusicBrainz releases; use --source musicbrainz or auto', null, true);
+      }
+      if (options.interactive && !process.stdin.isTTY) {
+        logError('--interactive needs a terminal to read the choice from', null, true);
+      }
+      
+      const ranking = await findReleases(artist, album, preferences);
+      console.log(`\n💿 ${ranking.length} release(s) of "${album}", best first:\n`);
+      console.log(formatReleaseTable(ranking));
+      
+      if (listOnly) {
+        console.log('\n💡 Use --release-index <#> to process one of these, or --interactive to pick one and remember it');
+        return;
+      }
+      
+      const chosen = await promptReleaseChoice(ranking);
+      rememberReleaseChoice(artist, album, chosen.release);
+      releaseId = chosen.release.id;
+      logStatus('success', `Using ${describeRelease(chosen.release)} for this and later runs`);
+    } else if (options.releaseIndex === undefined) {
+      const remembered = global.APP_CONFIG.get('processing.album.releaseChoices', {})[releaseChoiceKey(artist, album)];
+      if (remembered) {
+        releaseId = remembered.releaseId;
+        logStatus('info', `Using the release picked earlier: ${remembered.description} (--interactive to pick again)`);
+      }
+    }
     
-    const albumData = await getAlbumData(artist, album, {
-      selectIndex: releaseIndex
-    });
+    // Step 1: Get album data from MusicBrainz or Genius
+    const albumData = await getTracklist(artist, album, source, { releaseIndex, releaseId, preferences, accessToken });
     
     const { release, songs } = albumData;
     
-    logStatus('success', `Found ${songs.length} tracks in album`);
+    logStatus('success', `Found ${songs.length} tracks in album (${albumData.source === 'genius' ? 'Genius' : 'MusicBrainz'})`);
     logVerbose(`Release: ${release.title} (${release.date || 'Unknown date'})`);
     logVerbose(`Release ID: ${release.id}`);
     
@@ -112,15 +368,30 @@ async function execute(artist, album, options) {
       logError('No tracks found in the album', null, true);
     }
     
-    // Step 2: Set up rate limiter
+    if (options.overrides) {
+      const overrides = loadTrackOverrides(path.resolve(options.overrides));
+      songs.forEach(song => {
+        song.override = overrides[String(song.trackNumber).toLowerCase()] || overrides[song.title.toLowerCase()] || null;
+      });
+      logVerbose(`Overrides: ${songs.filter(song => song.override).length} track(s) from ${options.overrides}`);
+    }
+    
+    // Step 2: Set up rate limiter and parsing options
     const rateLimiter = createAPIRateLimiter('genius');
+    const parseOptions = buildParseOptions(artist, options);
+    const summaryOptions = buildSummaryOptions(options);
+    const matchOptions = global.APP_CONFIG.get('apis.genius.search', DEFAULT_MATCH_OPTIONS);
+    const pageOptions = { furniture: buildFurnitureOptions(), keepRaw: Boolean(options.keepRaw) };
+    logVerbose(`Vocalist roster: ${parseOptions.roster ? `${parseOptions.roster.members.length} members` : 'none configured'}`);
+    logVerbose(`Group mode: ${parseOptions.groupMode}`);
+    logVerbose(`Track duets: ${parseOptions.trackDuets}`);
+    logVerbose(`Share metric: lead ${summaryOptions.shareMetric}${summaryOptions.uniqueOnly ? ' (unique lines only)' : ''}`);
     
     // Step 3: Process each song
     logStatus('info', 'Processing songs...');
     
     const songResults = [];
     let processedCount = 0;
-    let successCount = 0;
     
     for (const [index, song] of songs.entries()) {
       const songNum = index + 1;
@@ -130,15 +401,24 @@ async function execute(artist, album, options) {
         process.stdout.write(`\r${progressBar} Current: "${song.title}"`);
       }
       
-      const result = await processSongForAlbum(song, accessToken, rateLimiter, album);
+      const result = await processSongForAlbum(song, accessToken, rateLimiter, album, parseOptions, summaryOptions, matchOptions, pageOptions);
       songResults.push(result);
       
       processedCount++;
       if (result.success) {
-        successCount++;
         if (!global.CLI_QUIET) {
           process.stdout.write(`\r  [${songNum}/${songs.length}] ✅ ${song.title} (${formatDuration(result.processingTime)})\n`);
         }
+        logVerbose(`  Matched "${result.songInfo.title}" by ${result.songInfo.primary_artist?.name || 'unknown artist'} (${result.match.source === 'search' ? `score ${result.match.score}` : `by ${result.match.source}`})`);
+        logVerbose(`  Lyrics extracted with the ${result.extractionStrategy} strategy${result.removedFurniture.length > 0 ? `; removed ${result.removedFurniture.length} piece(s) of page furniture` : ''}`);
+        if (result.match.source === 'search' && result.match.score < matchOptions.minScore) {
+          logStatus('warning', `Best Genius match for "${song.title}" only scored ${result.match.score}; check the song breakdown`);
+        }
+      } else if (NON_VOCAL_STATUSES.includes(result.status)) {
+        // Instrumental and unreleased songs are expected gaps, not failures
+        if (!global.CLI_QUIET) {
+          process.stdout.write(`\r  [${songNum}/${songs.length}] ⏭️  ${song.title} (${result.error})\n`);
+        }
       } else {
         if (!global.CLI_QUIET) {
           process.stdout.write(`\r  [${songNum}/${songs.length}] ❌ ${song.title} (${result.error})\n`);
@@ -164,7 +444,7 @@ async function execute(artist, album, options) {
     // Step 4: Aggregate statistics
     logStatus('info', 'Aggregating album statistics...');
     
-    const albumStats = aggregateAlbumStats(songResults);
+    const albumStats = aggregateAlbumStats(songResults, summaryOptions);
     const insights = generateAlbumInsights(albumStats);
     
     // Step 5: Create output files
@@ -176,6 +456,7 @@ async function execute(artist, album, options) {
         title: album,
         releaseId: release.id,
         releaseDate: release.date,
+        source: albumData.source,
         totalTracks: songs.length
       },
       songs: songResults,
@@ -205,24 +486,73 @@ async function execute(artist, album, options) {
       displayTable({
         'Total Songs': albumStats.totalSongs,
         'Processed Successfully': `${albumStats.processedSongs} (${albumStats.successRate}%)`,
+        'Instrumental/Unreleased': albumStats.nonVocalSongs,
         'Total Lines': albumStats.totalLines,
         'Total Words': albumStats.totalWords,
+        'Total Syllables': albumStats.totalSyllables,
+        'Lead Lines': albumStats.totalLeadLines,
         'Average Lines/Song': albumStats.averageLinesPerSong,
         'Average Words/Song': albumStats.averageWordsPerSong
       }, 'Album Statistics');
       
       // Show vocalist distribution
       if (Object.keys(albumStats.vocalistDistribution).length > 0) {
-        console.log('\n🎤 Vocalist Distribution (Album-wide):');
+        console.log(`\n🎤 Vocalist Distribution (Album-wide, lead vocals${albumStats.uniqueOnly ? ', unique lines only' : ''}):`);
         
         const sortedVocalists = Object.entries(albumStats.vocalistDistribution)
-          .sort(([,a], [,b]) => b.lines - a.lines);
+          .sort(([,a], [,b]) => b.leadLines - a.leadLines);
         
         sortedVocalists.forEach(([vocalist, stats]) => {
-          console.log(`   ${vocalist}: ${stats.lines} lines (${stats.linesPercentage}%), ${stats.words} words (${stats.wordsPercentage}%)`);
+          console.log(`   ${vocalist}: ${stats.leadLines} lines (${stats.leadLinesPercentage}%), ${stats.leadWords} words (${stats.leadWordsPercentage}%), ${stats.leadSyllables} syllables (${stats.leadSyllablesPercentage}%)`);
+          logVerbose(`   All roles: ${stats.lines} lines (${stats.linesPercentage}%), ${stats.words} words (${stats.wordsPercentage}%), ${stats.syllables} syllables (${stats.syllablesPercentage}%)`);
+          if (albumStats.timedSongs > 0) {
+            console.log(`      Sings for about ${stats.secondsSung}s (${stats.secondsSungPercentage}%) across ${albumStats.timedSongs} timed song(s)`);
+          }
+          if (stats.songsWritten > 0) {
+            console.log(`      Co-wrote ${stats.songsWritten} song(s)`);
+          }
+          if (stats.repeatedLines > 0) {
+            console.log(`      ${stats.uniqueLines} unique lines, ${stats.repeatedLines} repeated (${(stats.repetitionRatio * 100).toFixed(1)}% repetition)`);
+          }
           console.log(`      Appeared in ${stats.songsAppeared}/${albumStats.processedSongs} songs, avg ${stats.averageLinesPerSong} lines/song`);
         });
         
+        const duets = Object.entries(albumStats.duetDistribution);
+        if (duets.length > 0) {
+          console.log('\n👥 Duets:');
+          duets.forEach(([pairing, stats]) => {
+            console.log(`   ${pairing}: ${stats.lines} lines, ${stats.words} words in ${stats.songsAppeared} song(s)`);
+          });
+        }
+        
+        const sections = Object.entries(albumStats.sectionDistribution);
+        if (sections.length > 0) {
+          console.log('\n🎼 Sections (lead vocals):');
+          sections.forEach(([type, stats]) => {
+            const leaders = rankSectionVocalists(stats)
+              .map(([vocalist, vocalistStats]) => `${vocalist} ${vocalistStats.sections}`)
+              .join(', ');
+            console.log(`   ${type} (${stats.sections}): ${leaders || 'no lead vocals'}`);
+          });
+          
+          const openers = Object.entries(albumStats.openers).sort(([, a], [, b]) => b - a);
+          if (openers.length > 0) {
+            console.log(`   Songs opened: ${openers.map(([vocalist, count]) => `${vocalist} ${count}`).join(', ')}`);
+          }
+        }
+        
+        if (albumStats.unmatchedVocalists.length > 0) {
+          console.log(`\n⚠️ Vocalists not in the roster: ${albumStats.unmatchedVocalists.join(', ')}`);
+        }
+        
+        const { diagnostics } = albumStats;
+        if (diagnostics.confidence.low > 0 || diagnostics.warnings > 0) {
+          console.log(`\n⚠️ Parser diagnostics: ${diagnostics.confidence.low} low-confidence line(s), ${diagnostics.warnings} warning(s)`);
+          diagnostics.songs.forEach(song => {
+            logVerbose(`   ${song.title}: ${song.lowConfidenceLines} low-confidence line(s), ${song.warnings} warning(s)`);
+          });
+        }
+        
         // Show insights
         console.log('\n🔍 Album Insights:');
         console.log(`   Dominant Vocalist: ${insights.dominantVocalist || 'None'}`);
@@ -230,7 +560,7 @@ async function execute(artist, album, options) {
         
         if (insights.dominantVocalist) {
           const dominantStats = albumStats.vocalistDistribution[insights.dominantVocalist];
-          console.log(`   ${insights.dominantVocalist} leads in ${dominantStats.linesPercentage}% of album content`);
+          console.log(`   ${insights.dominantVocalist} sings ${dominantStats.sharePercentage}% of the album's lead ${albumStats.shareMetric}`);
         }
       }
       
@@ -245,9 +575,9 @@ async function execute(artist, album, options) {
       
       console.log(`\n⏱️ Album processing completed in ${formatDuration(processingTime)}`);
       
-      // Show summary of any failures
-      if (successCount < songs.length) {
-        const failedCount = songs.length - successCount;
+      // Show summary of any failures (instrumentals and unreleased tracks are skipped, not failed)
+      const failedCount = songResults.filter(result => !result.success && !NON_VOCAL_STATUSES.includes(result.status)).length;
+      if (failedCount > 0) {
         console.log(`\n⚠️ Note: ${failedCount} song(s) failed to process. Check the report for details.`);
       }
     }
@@ -1,20 +1,34 @@
 const path = require('path');
-const { searchSong, fetchPageHTML, extractLyricsFromHTML, cleanLyricsHTML } = require('../../scrapers/genius.js');
-const { parseLyricsWithVocalists, generateStatsSummary } = require('../../processors/lyrics.js');
+const { findBestMatch, fetchSongByReference, getSongById, getSongReferents, normalizeSongMetadata, DEFAULT_MATCH_OPTIONS, fetchPageHTML, classifyLyricsPage, PAGE_STATUS_MESSAGES } = require('../../scrapers/genius.js');
+const { parseLyricsWithVocalists, generateStatsSummary, rankSectionVocalists } = require('../../processors/lyrics.js');
+const { normalizeReferent, attachAnnotations } = require('../../processors/annotations.js');
 const { getOutputDir, createLyricsFilePaths, saveLyricsData, writeJSONFile } = require('../../utils/file.js');
 const { logStatus, logVerbose, logError, withSpinner, formatDuration, displayTable } = require('../utils/progress.js');
+const { buildParseOptions, buildSummaryOptions, buildFurnitureOptions } = require('../utils/lyrics-options.js');
 
 /**
  * Execute the song command
+ *
+ * The song is searched for by artist and title, unless --genius-id or --url
+ * names it directly; then the artist and title are optional.
+ *
  * @param {string} artist - Artist name
  * @param {string} title - Song title
  * @param {Object} options - Command options
  */
 async function execute(artist, title, options) {
   const startTime = Date.now();
+  const reference = options.geniusId ? { geniusId: options.geniusId } : options.url ? { url: options.url } : null;
   
   try {
-    logStatus('music', `Processing: "${title}" by ${artist}`);
+    if (options.geniusId && options.url) {
+      logError('Use either --genius-id or --url, not both', null, true);
+    }
+    if (!reference && (!artist || !title)) {
+      logError('Artist and title are required unless --genius-id or --url is given', null, true);
+    }
+    
+    logStatus('music', reference ? `Processing Genius song ${options.geniusId || options.url}` : `Processing: "${title}" by ${artist}`);
     
     // Get API token
     const accessToken = options.token || process.env.GENIUS_ACCESS_TOKEN || global.APP_CONFIG.get('apis.genius.accessToken');
@@ -29,46 +43,94 @@ async function execute(artist, title, options) {
     logVerbose(`Format: ${options.format}`);
     logVerbose(`Parse vocalists: ${options.parse}`);
     
-    // Step 1: Search for song
-    const searchResults = await withSpinner(
-      searchSong(artist, title, accessToken),
-      'Searching on Genius...'
-    );
+    // Step 1: Search for song and pick the best matching hit, or get the song that was named
+    const matchOptions = global.APP_CONFIG.get('apis.genius.search', DEFAULT_MATCH_OPTIONS);
+    const best = reference
+      ? await withSpinner(
+          fetchSongByReference(reference, accessToken).then(({ song, htmlContent }) => ({
+            song,
+            htmlContent,
+            match: { source: options.geniusId ? 'genius-id' : 'url' }
+          })),
+          'Fetching song from Genius...'
+        )
+      : await withSpinner(
+          findBestMatch(artist, title, accessToken, matchOptions),
+          'Searching on Genius...'
+        );
     
-    if (!searchResults.length) {
+    if (!best) {
       logError(`Song "${title}" by ${artist} not found on Genius`);
       console.log('💡 Suggestions:');
       console.log('   - Check spelling of song title');
       console.log('   - Try alternative title or artist name');
+      console.log('   - Name the song directly with --genius-id or --url');
       console.log('   - Use --verbose to see search results');
       process.exit(1);
     }
     
-    const song = searchResults[0];
+    const { song, match } = best;
     logStatus('success', `Found: ${song.title} by ${song.primary_artist.name}`);
     logVerbose(`Song ID: ${song.id}`);
     logVerbose(`URL: ${song.url}`);
     
-    // Step 2: Fetch lyrics page
-    const htmlContent = await withSpinner(
+    if (match.source === 'search') {
+      logVerbose(`Match score: ${match.score} (title ${match.title}, artist ${match.artist}${match.penalties.length > 0 ? `, penalised for ${match.penalties.join(', ')}` : ''}) from ${match.candidates} result(s)`);
+      
+      if (match.score < matchOptions.minScore) {
+        logStatus('warning', `Best match only scored ${match.score}; check that this is the right song`);
+      }
+    }
+    
+    // The roster is looked up by the artist given, or else by the song's primary artist
+    artist = artist || song.primary_artist.name;
+    
+    // Search hits are trimmed, so get the full record for release and credit details
+    let fullSong = song;
+    if (match.source === 'search') {
+      try {
+        fullSong = await withSpinner(getSongById(song.id, accessToken), 'Fetching song details...');
+      } catch (error) {
+        logVerbose(`Could not fetch song details, saving search result metadata only: ${error.message}`);
+      }
+    }
+    const metadata = normalizeSongMetadata(fullSong);
+    logVerbose(`Album: ${metadata.album ? metadata.album.name : 'unknown'}, released ${metadata.releaseDate || 'unknown'}`);
+    logVerbose(`Writers: ${metadata.writers.join(', ') || 'none credited'}`);
+    logVerbose(`Producers: ${metadata.producers.join(', ') || 'none credited'}`);
+    
+    // Step 2: Fetch lyrics page (unless resolving a URL already did)
+    const htmlContent = best.htmlContent || await withSpinner(
       fetchPageHTML(song.url),
       'Fetching lyrics page...'
     );
     
     // Step 3: Extract and clean lyrics
-    const lyricsData = await withSpinner(
-      (async () => {
-        const extracted = extractLyricsFromHTML(htmlContent);
-        const cleanedContent = cleanLyricsHTML(extracted.rawHTML);
-        return {
-          ...extracted,
-          cleanedContent
-        };
-      })(),
+    const page = await withSpinner(
+      (async () => classifyLyricsPage(htmlContent, fullSong, buildFurnitureOptions()))(),
       'Cleaning HTML content...'
     );
     
-    logVerbose(`Found ${lyricsData.containerCount} lyrics container(s)`);
+    // Instrumental and unreleased songs have nothing to analyse; other pages without lyrics are errors
+    if (page.status === 'instrumental' || page.status === 'unreleased') {
+      logStatus('info', `${PAGE_STATUS_MESSAGES[page.status]}: nothing to analyse for "${song.title}"`);
+      return {
+        success: false,
+        status: page.status,
+        songInfo: song,
+        metadata,
+        match,
+        processingTime: Date.now() - startTime
+      };
+    }
+    if (page.status !== 'ok') {
+      throw new Error(PAGE_STATUS_MESSAGES[page.status]);
+    }
+    
+    const lyricsData = { ...page.extracted, cleanedContent: page.cleanedContent };
+    
+    logVerbose(`Found ${lyricsData.containerCount} lyrics container(s) with the ${lyricsData.strategy} strategy`);
+    page.removedFurniture.forEach(furniture => logVerbose(`Removed page furniture: "${furniture}"`));
     logVerbose(`Cleaned content length: ${lyricsData.cleanedContent.length} characters`);
     
     // Step 4: Parse vocalists (if enabled)
@@ -76,14 +138,55 @@ async function execute(artist, title, options) {
     let vocalistStats = null;
     
     if (options.parse) {
+      const parseOptions = buildParseOptions(artist, options);
+      logVerbose(`Vocalist roster: ${parseOptions.roster ? `${parseOptions.roster.members.length} members` : 'none configured'}`);
+      logVerbose(`Group mode: ${parseOptions.groupMode}`);
+      logVerbose(`Track duets: ${parseOptions.trackDuets}`);
+      logVerbose(`Track length: ${parseOptions.duration ? `${parseOptions.duration}s` : 'unknown (use --duration to estimate seconds sung)'}`);
+      
       parseResult = await withSpinner(
-        parseLyricsWithVocalists(lyricsData.cleanedContent),
+        parseLyricsWithVocalists(lyricsData.cleanedContent, parseOptions),
         'Analyzing vocalists...'
       );
       
-      vocalistStats = generateStatsSummary(parseResult.vocalistStats);
+      vocalistStats = generateStatsSummary(parseResult.vocalistStats, buildSummaryOptions(options));
       logVerbose(`Parsed ${parseResult.parsedLyrics.length} lines`);
       logVerbose(`Found ${vocalistStats.vocalistCount} vocalists`);
+      
+      const inheritedLines = parseResult.parsedLyrics.filter(line => line.inherited).length;
+      if (inheritedLines > 0) {
+        logVerbose(`${inheritedLines} line(s) in uncredited sections were attributed by inheritance`);
+      }
+      
+      if (parseResult.unmatchedVocalists.length > 0) {
+        logStatus('warning', `Vocalists not in the roster: ${parseResult.unmatchedVocalists.join(', ')}`);
+      }
+      
+      const { confidence, warnings } = parseResult.diagnostics;
+      logVerbose(`Attribution confidence: ${confidence.high} high, ${confidence.medium} medium, ${confidence.low} low`);
+      if (confidence.low > 0 || warnings.length > 0) {
+        logStatus('warning', `${confidence.low} low-confidence line(s), ${warnings.length} parser warning(s)`);
+      }
+      warnings.forEach(warning => logVerbose(`Line ${warning.lineNumber}: ${warning.message}`));
+    }
+    
+    // Step 4b: Fetch annotations and map them onto the parsed lines (if requested)
+    let annotations = null;
+    
+    if (options.annotations) {
+      try {
+        const referents = await withSpinner(getSongReferents(song.id, accessToken), 'Fetching annotations...');
+        annotations = referents.map(normalizeReferent);
+        logVerbose(`Found ${annotations.length} annotated fragment(s)`);
+        
+        if (parseResult) {
+          const { attached, unmatched } = attachAnnotations(parseResult.parsedLyrics, annotations);
+          logStatus('info', `Attached ${attached} annotation(s) to lyric lines`);
+          unmatched.forEach(referent => logVerbose(`No lyric line matches annotated fragment "${referent.fragment}"`));
+        }
+      } catch (error) {
+        logStatus('warning', `Could not fetch annotations: ${error.message}`);
+      }
     }
     
     // Step 5: Prepare file paths
@@ -94,10 +197,22 @@ async function execute(artist, title, options) {
       (async () => {
         const dataToSave = {
           songInfo: song,
+          metadata,
+          match,
           cleanedContent: lyricsData.cleanedContent,
+          rawContent: options.keepRaw ? page.rawContent : null,
+          removedFurniture: page.removedFurniture,
           parsedLyrics: parseResult?.parsedLyrics || null,
           vocalistStats: parseResult?.vocalistStats || null,
+          duetStats: parseResult?.duetStats || null,
+          unmatchedVocalists: parseResult?.unmatchedVocalists || null,
+          sectionStats: parseResult?.sectionStats || null,
+          openingVocalists: parseResult?.openingVocalists || null,
+          diagnostics: parseResult?.diagnostics || null,
+          timing: parseResult?.timing || null,
+          annotations,
           containerCount: lyricsData.containerCount,
+          extractionStrategy: lyricsData.strategy,
           processingTime: Date.now() - startTime
         };
         
@@ -124,19 +239,56 @@ async function execute(artist, title, options) {
         displayTable({
           'Total Lines': vocalistStats.totalLines,
           'Total Words': vocalistStats.totalWords,
+          'Total Syllables': vocalistStats.totalSyllables,
+          'Lead Lines': vocalistStats.totalLeadLines,
+          'Backing/Ad-lib/Spoken Lines': `${vocalistStats.roleTotals.backing.lines}/${vocalistStats.roleTotals['ad-lib'].lines}/${vocalistStats.roleTotals.spoken.lines}`,
           'Vocalists': vocalistStats.vocalistCount
         }, 'Song Statistics');
         
-        console.log('\n🎤 Vocalist Distribution:');
+        console.log(`\n🎤 Vocalist Distribution (lead vocals${vocalistStats.uniqueOnly ? ', unique lines only' : ''}):`);
         Object.entries(vocalistStats.vocalistStats).forEach(([vocalist, stats]) => {
-          console.log(`   ${vocalist}: ${stats.lines} lines (${stats.linesPercentage}%), ${stats.words} words (${stats.wordsPercentage}%)`);
+          const counts = vocalistStats.uniqueOnly ? stats.unique : stats;
+          console.log(`   ${vocalist}: ${counts.roles.lead.lines} lines (${stats.leadLinesPercentage}%), ${counts.roles.lead.words} words (${stats.leadWordsPercentage}%), ${counts.roles.lead.syllables} syllables (${stats.leadSyllablesPercentage}%)`);
+          logVerbose(`   All roles: ${counts.lines} lines (${stats.linesPercentage}%), ${counts.words} words (${stats.wordsPercentage}%), ${counts.syllables} syllables (${stats.syllablesPercentage}%)`);
+          if (stats.repeatedLines > 0) {
+            console.log(`      ${stats.unique.lines} unique lines, ${stats.repeatedLines} repeated (${(stats.repetitionRatio * 100).toFixed(1)}% repetition)`);
+          }
+          if (stats.secondsSung !== undefined) {
+            console.log(`      Sings for about ${stats.secondsSung}s (${stats.secondsSungPercentage}%)`);
+          }
         });
+        
+        const duets = Object.entries(parseResult.duetStats);
+        if (duets.length > 0) {
+          console.log('\n👥 Duets:');
+          duets.forEach(([pairing, stats]) => {
+            console.log(`   ${pairing}: ${stats.lines} lines, ${stats.words} words`);
+          });
+        }
+        
+        const sections = Object.entries(parseResult.sectionStats);
+        if (sections.length > 0) {
+          console.log('\n🎼 Sections (lead vocals):');
+          sections.forEach(([type, stats]) => {
+            const leaders = rankSectionVocalists(stats)
+              .map(([vocalist, vocalistStats]) => `${vocalist} ${vocalistStats.sections}`)
+              .join(', ');
+            console.log(`   ${type} (${stats.sections}): ${leaders || 'no lead vocals'}`);
+          });
+          
+          if (parseResult.openingVocalists.length > 0) {
+            console.log(`   Opened by: ${parseResult.openingVocalists.join(', ')}`);
+          }
+        }
       }
       
       // Show saved files
       console.log('\n📁 Files saved:');
       if (options.format === 'txt' || options.format === 'both') {
         console.log(`   • ${path.basename(filePaths.cleaned)}`);
+        if (options.keepRaw) {
+          console.log(`   • ${path.basename(filePaths.raw)}`);
+        }
         if (options.parse) {
           console.log(`   • ${path.basename(filePaths.annotated)}`);
         }
@@ -152,6 +304,8 @@ async function execute(artist, title, options) {
     return {
       success: true,
       songInfo: song,
+      metadata,
+      match,
       vocalistStats,
       files: filePaths,
       processingTime
@@ -159,7 +313,7 @@ async function execute(artist, title, options) {
     
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    logError(`Failed to process song "${title}" by ${artist}`, error);
+    logError(reference ? `Failed to process Genius song ${options.geniusId || options.url}` : `Failed to process song "${title}" by ${artist}`, error);
     
     if (error.message.includes('not found')) {
       console.log('💡 Suggestions:');
@@ -0,0 +1,102 @@
+/**
+ * Build lyrics parsing options from the loaded configuration
+ */
+
+const { createRoster, GROUP_MODES } = require('../../processors/roster.js');
+const { DEFAULT_FORMAT_TAGS, SPEAKER_LABEL_FORMATS, SHARE_METRICS, DEFAULT_TIMING } = require('../../processors/lyrics.js');
+
+/**
+ * Create the options passed to parseLyricsWithVocalists for an artist
+ * @param {string} artist - Artist name used to look up the vocalist roster
+ * @param {Object} options - Command options
+ * @returns {Object} Parsing options
+ * @throws {Error} If an option has an invalid value
+ */
+function buildParseOptions(artist, options = {}) {
+  const config = global.APP_CONFIG;
+  const groupMode = options.groupMode || (config ? config.get('processing.lyrics.groupMode', 'full') : 'full');
+  
+  if (!GROUP_MODES.includes(groupMode)) {
+    throw new Error(`Invalid group mode "${groupMode}". Must be one of: ${GROUP_MODES.join(', ')}`);
+  }
+  
+  return {
+    roster: config ? createRoster(config.getRoster(artist)) : null,
+    groupMode,
+    trackDuets: Boolean(options.trackDuets || (config && config.get('processing.lyrics.trackDuets', false))),
+    artist,
+    formats: config ? config.get('processing.lyrics.formats', DEFAULT_FORMAT_TAGS) : DEFAULT_FORMAT_TAGS,
+    speakerLabels: config ? config.get('processing.lyrics.speakerLabels', SPEAKER_LABEL_FORMATS) : SPEAKER_LABEL_FORMATS,
+    locale: config ? config.get('processing.lyrics.locale', null) : null,
+    duration: options.duration ? parseDuration(options.duration) : null,
+    timing: config ? config.get('processing.lyrics.timing', DEFAULT_TIMING) : DEFAULT_TIMING
+  };
+}
+
+/**
+ * Parse a track length given as seconds ("213") or minutes and seconds ("3:33")
+ * @param {string|number} value - Track length
+ * @returns {number} Length in seconds
+ * @throws {Error} If the value is not a valid length
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+  const seconds = match ? (parseInt(match[1] || '0', 10) * 60) + parseFloat(match[2]) : NaN;
+  
+  if (!(seconds > 0)) {
+    throw new Error(`Invalid duration "${value}". Use seconds (213) or minutes:seconds (3:33)`);
+  }
+  
+  return seconds;
+}
+
+/**
+ * Create the options passed to generateStatsSummary and aggregateAlbumStats
+ * @param {Object} options - Command options
+ * @returns {Object} Summary options
+ * @throws {Error} If an option has an invalid value
+ */
+function buildSummaryOptions(options = {}) {
+  const config = global.APP_CONFIG;
+  const shareMetric = options.shareMetric || (config ? config.get('processing.lyrics.shareMetric', 'lines') : 'lines');
+  
+  if (!SHARE_METRICS.includes(shareMetric)) {
+    throw new Error(`Invalid share metric "${shareMetric}". Must be one of: ${SHARE_METRICS.join(', ')}`);
+  }
+  
+  return {
+    shareMetric,
+    uniqueOnly: Boolean(options.uniqueOnly || (config && config.get('processing.lyrics.uniqueOnly', false)))
+  };
+}
+
+/**
+ * Create the options passed to stripPageFurniture (through classifyLyricsPage)
+ * @returns {Object} Furniture options ({ strip, extraPatterns })
+ * @throws {Error} If an extra pattern is not a valid regular expression
+ */
+function buildFurnitureOptions() {
+  const config = global.APP_CONFIG;
+  const furniture = config ? config.get('processing.lyrics.furniture', {}) : {};
+  const extraPatterns = furniture.extraPatterns || [];
+  
+  extraPatterns.forEach(pattern => {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid furniture pattern "${pattern}": ${error.message}`);
+    }
+  });
+  
+  return {
+    strip: furniture.strip !== false,
+    extraPatterns
+  };
+}
+
+module.exports = {
+  buildParseOptions,
+  buildSummaryOptions,
+  buildFurnitureOptions,
+  parseDuration
+};
\ No newline at end of file
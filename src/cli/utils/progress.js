@@ -2,6 +2,8 @@
  * Progress indicator utilities for CLI
  */
 
+const readline = require('readline');
+
 /**
  * Create a simple progress bar
  * @param {number} current - Current progress
@@ -158,6 +160,45 @@ function displayTable(data, title) {
   });
 }
 
+/**
+ * Format rows as aligned columns under a header row
+ * @param {Array} headers - Column headings
+ * @param {Array} rows - Rows, each an array of cell values (null shows as "-")
+ * @returns {string} Table text
+ */
+function formatColumns(headers, rows) {
+  const cells = [headers, ...rows].map(row => row.map(cell => (cell === null || cell === undefined ? '-' : String(cell))));
+  const widths = headers.map((header, column) => Math.max(...cells.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  
+  return [
+    formatRow(cells[0]),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.slice(1).map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Ask the user a question on the terminal
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string|null>} The line the user typed, or null if input ended first
+ */
+function promptInput(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  
+  return new Promise(resolve => {
+    let answered = false;
+    rl.on('close', () => {
+      if (!answered) resolve(null);
+    });
+    rl.question(question, answer => {
+      answered = true;
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
 module.exports = {
   createProgressBar,
   logStatus,
@@ -166,5 +207,7 @@ module.exports = {
   withSpinner,
   formatDuration,
   processSteps,
-  displayTable
+  displayTable,
+  formatColumns,
+  promptInput
 };
\ No newline at end of file
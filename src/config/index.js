@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_RELEASE_PREFERENCES } = require('../scrapers/musicbrainz.js');
+const { DEFAULT_MATCH_OPTIONS, DEFAULT_ALBUM_MATCH_OPTIONS } = require('../scrapers/genius.js');
+const { DEFAULT_FORMAT_TAGS, DEFAULT_TIMING } = require('../processors/lyrics.js');
 
 /**
  * Default configuration values
@@ -14,7 +17,13 @@ const DEFAULT_CONFIG = {
       },
       timeout: 10000,
       retries: 3,
-      retryDelay: 1000
+      retryDelay: 1000,
+      // Picking the best search hit: hits scoring below minScore (0-1) send the
+      // search on to the next page of results, up to maxPages pages
+      search: { ...DEFAULT_MATCH_OPTIONS },
+      // Picking the Genius album (album --source genius, or auto when MusicBrainz fails):
+      // the best album must score at least minScore (0-1) or the album command stops
+      albumSearch: { ...DEFAULT_ALBUM_MATCH_OPTIONS }
     },
     musicbrainz: {
       userAgent: 'BackstreetLyricsScraper/1.0 (https://github.com/user/repo)',
@@ -51,13 +60,57 @@ const DEFAULT_CONFIG = {
     },
     album: {
       selectReleaseIndex: 0, // Which release to pick from search results
+      releaseChoices: {}, // Releases picked with album --interactive, keyed by "artist|album" (lowercased)
+      // How MusicBrainz releases are ranked: preferred countries and formats (best first)
+      // and the points each factor can add to a release's score (see DEFAULT_RELEASE_PREFERENCES)
+      releasePreferences: {
+        ...DEFAULT_RELEASE_PREFERENCES,
+        weights: { ...DEFAULT_RELEASE_PREFERENCES.weights }
+      },
+      source: 'auto', // Tracklist source: 'musicbrainz', 'genius' or 'auto' (MusicBrainz, then Genius)
       skipFailedSongs: true,
       continueOnError: true
     },
     lyrics: {
       cleanHTML: true,
+      // Genius page furniture ("N Contributors", "Embed", "You might also like", translation menus)
+      // stripped from cleaned lyrics; extraPatterns are further whole-line regexes to remove
+      furniture: {
+        strip: true,
+        extraPatterns: []
+      },
       parseVocalists: true,
-      generateStats: true
+      generateStats: true,
+      groupMode: 'full', // How group lines ("All") are credited: 'full', 'split' or 'group'
+      trackDuets: false, // Also keep statistics for duo pairings ("AJ & Brian")
+      // Formatting tags that identify vocalists, mapped to their style.
+      // Tags sharing a style are interchangeable; styles must not contain "-".
+      formats: { ...DEFAULT_FORMAT_TAGS },
+      // Inline speaker labels recognised inside sections:
+      // 'prefix' ("Nick: line"), 'marker' ("(Brian)") and 'header' ("[Nick:]")
+      speakerLabels: ['prefix', 'marker', 'header'],
+      locale: null, // BCP 47 locale used to split lyrics into words (e.g. 'ja', 'ko'); null uses the system locale
+      shareMetric: 'lines', // Lead metric that counts as "share of the song": 'lines', 'words' or 'syllables'
+      uniqueOnly: false, // Base percentages on each vocalist's first performance of a line, ignoring repeats
+      // Seconds at the start and end of a track left out when estimating how long each vocalist sings
+      timing: { ...DEFAULT_TIMING }
+    }
+  },
+  
+  // Vocalist Rosters (keyed by artist name)
+  // Every vocalist name parsed from a section header is resolved against the
+  // artist's roster; names that match no member or alias are reported.
+  rosters: {
+    'Backstreet Boys': {
+      // Labels that mean "the whole group"; expanded to the current members
+      groupLabels: ['All', 'Backstreet Boys', 'BSB', 'Everyone', 'The Boys'],
+      members: [
+        { name: 'Nick Carter', aliases: ['Nick', 'N. Carter', 'Nicholas Carter'], color: 'blue' },
+        { name: 'Brian Littrell', aliases: ['Brian', 'B. Littrell', 'B-Rok'], color: 'green' },
+        { name: 'AJ McLean', aliases: ['AJ', 'A.J.', 'A.J. McLean', 'Alexander James McLean'], color: 'red' },
+        { name: 'Howie Dorough', aliases: ['Howie', 'Howie D.', 'H. Dorough', 'Howard Dorough'], color: 'yellow' },
+        { name: 'Kevin Richardson', aliases: ['Kevin', 'K. Richardson', 'Kevin Scott Richardson'], color: 'magenta' }
+      ]
     }
   },
   
@@ -70,6 +123,27 @@ const DEFAULT_CONFIG = {
   }
 };
 
+/**
+ * Set a value in a nested object, creating intermediate objects as needed
+ * @param {Object} target - Object to update
+ * @param {string} keyPath - Dot-separated path to the value
+ * @param {*} value - Value to set
+ */
+function setByPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const lastKey = keys.pop();
+  let current = target;
+  
+  for (const key of keys) {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  
+  current[lastKey] = value;
+}
+
 /**
  * Configuration class to manage settings
  */
@@ -204,18 +278,20 @@ class Config {
    * @param {*} value - Value to set
    */
   set(path, value) {
-    const keys = path.split('.');
-    const lastKey = keys.pop();
-    let current = this.config;
-    
-    for (const key of keys) {
-      if (!current[key] || typeof current[key] !== 'object') {
-        current[key] = {};
-      }
-      current = current[key];
-    }
+    setByPath(this.config, path, value);
+  }
+  
+  /**
+   * Get the vocalist roster configured for an artist
+   * @param {string} artistName - Artist name (matched case-insensitively)
+   * @returns {Object|null} Roster configuration or null if none is configured
+   */
+  getRoster(artistName) {
+    const rosters = this.get('rosters', {});
+    const wanted = (artistName || '').trim().toLowerCase();
+    const key = Object.keys(rosters).find(name => name.toLowerCase() === wanted);
     
-    current[lastKey] = value;
+    return key ? rosters[key] : null;
   }
   
   /**
@@ -245,6 +321,34 @@ class Config {
     }
   }
   
+  /**
+   * Set a configuration value and write just that value into the config file
+   *
+   * Unlike saveToFile, the rest of the file is left as it is, so defaults and
+   * values from the environment (such as the access token) are not written out.
+   * @param {string} keyPath - Dot-separated path to the config value
+   * @param {*} value - Value to set
+   * @param {string} filePath - Path of the configuration file (optional)
+   */
+  saveValue(keyPath, value, filePath = null) {
+    const targetPath = filePath || this.configPath || path.join(process.cwd(), 'config.json');
+    
+    this.set(keyPath, value);
+    
+    try {
+      const fileConfig = fs.existsSync(targetPath) ? JSON.parse(fs.readFileSync(targetPath, 'utf8')) : {};
+      setByPath(fileConfig, keyPath, value);
+      fs.writeFileSync(targetPath, JSON.stringify(fileConfig, null, 2), 'utf8');
+      console.log(`Configuration saved to: ${targetPath}`);
+      
+      if (!this.configPath) {
+        this.configPath = targetPath;
+      }
+    } catch (error) {
+      console.error(`Error saving config to ${targetPath}: ${error.message}`);
+    }
+  }
+  
   /**
    * Validate configuration
    * @returns {Array} Array of validation errors
@@ -272,6 +376,108 @@ class Config {
       errors.push('Output directory is required');
     }
     
+    // Validate vocalist rosters
+    const rosters = this.get('rosters', {});
+    Object.entries(rosters).forEach(([artist, roster]) => {
+      if (!roster || !Array.isArray(roster.members)) {
+        errors.push(`Roster for "${artist}" must have a members array`);
+      } else if (roster.members.some(member => !member || !member.name)) {
+        errors.push(`Every member in the roster for "${artist}" needs a name`);
+      }
+    });
+    
+    // Validate group crediting mode
+    const validGroupModes = ['full', 'split', 'group'];
+    if (!validGroupModes.includes(this.get('processing.lyrics.groupMode'))) {
+      errors.push(`Invalid group mode. Must be one of: ${validGroupModes.join(', ')}`);
+    }
+    
+    // Validate album tracklist source
+    const validAlbumSources = ['musicbrainz', 'genius', 'auto'];
+    if (!validAlbumSources.includes(this.get('processing.album.source'))) {
+      errors.push(`Invalid album source. Must be one of: ${validAlbumSources.join(', ')}`);
+    }
+    
+    // Validate release preferences
+    const releasePreferences = this.get('processing.album.releasePreferences', {});
+    ['countries', 'formats'].forEach(key => {
+      const values = releasePreferences[key];
+      if (values !== undefined && (!Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+        errors.push(`processing.album.releasePreferences.${key} must be a list of strings`);
+      }
+    });
+    Object.entries(releasePreferences.weights || {}).forEach(([factor, weight]) => {
+      if (typeof weight !== 'number' || weight < 0) {
+        errors.push(`Release preference weight "${factor}" must be a number of 0 or more`);
+      }
+    });
+    
+    // Validate remembered release choices
+    const releaseChoices = this.get('processing.album.releaseChoices', {});
+    Object.entries(releaseChoices || {}).forEach(([album, choice]) => {
+      if (!choice || typeof choice.releaseId !== 'string') {
+        errors.push(`Remembered release for "${album}" needs a releaseId`);
+      }
+    });
+    
+    // Validate Genius search matching
+    const minScore = this.get('apis.genius.search.minScore');
+    if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+      errors.push('apis.genius.search.minScore must be a number between 0 and 1');
+    }
+    if (!Number.isInteger(this.get('apis.genius.search.maxPages')) || this.get('apis.genius.search.maxPages') < 1) {
+      errors.push('apis.genius.search.maxPages must be a positive integer');
+    }
+    const albumMinScore = this.get('apis.genius.albumSearch.minScore');
+    if (typeof albumMinScore !== 'number' || albumMinScore < 0 || albumMinScore > 1) {
+      errors.push('apis.genius.albumSearch.minScore must be a number between 0 and 1');
+    }
+    
+    // Validate formatting tag map
+    const formats = this.get('processing.lyrics.formats', {});
+    Object.entries(formats).forEach(([tag, style]) => {
+      if (typeof style !== 'string' || !/^[a-z]+$/i.test(style)) {
+        errors.push(`Format style for <${tag}> must be a single word (got "${style}")`);
+      }
+    });
+    
+    // Validate speaker label formats
+    const validSpeakerLabels = ['prefix', 'marker', 'header'];
+    const speakerLabels = this.get('processing.lyrics.speakerLabels', []);
+    if (!Array.isArray(speakerLabels) || speakerLabels.some(format => !validSpeakerLabels.includes(format))) {
+      errors.push(`Invalid speaker labels. Must be a list of: ${validSpeakerLabels.join(', ')}`);
+    }
+    
+    // Validate word segmentation locale
+    const locale = this.get('processing.lyrics.locale', null);
+    if (locale !== null) {
+      try {
+        Intl.getCanonicalLocales(locale);
+      } catch (error) {
+        errors.push(`Invalid locale "${locale}". Must be a BCP 47 language tag such as "ja" or "ko-KR"`);
+      }
+    }
+    
+    // Validate furniture patterns
+    const extraPatterns = this.get('processing.lyrics.furniture.extraPatterns', []);
+    if (!Array.isArray(extraPatterns)) {
+      errors.push('processing.lyrics.furniture.extraPatterns must be a list of regular expressions');
+    } else {
+      extraPatterns.forEach(pattern => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          errors.push(`Invalid furniture pattern "${pattern}": ${error.message}`);
+        }
+      });
+    }
+    
+    // Validate share metric
+    const validShareMetrics = ['lines', 'words', 'syllables'];
+    if (!validShareMetrics.includes(this.get('processing.lyrics.shareMetric'))) {
+      errors.push(`Invalid share metric. Must be one of: ${validShareMetrics.join(', ')}`);
+    }
+    
     // Validate logging level
     const validLogLevels = ['debug', 'info', 'warn', 'error'];
     if (!validLogLevels.includes(this.get('logging.level'))) {
@@ -2,24 +2,54 @@
  * Album-level statistics aggregation
  */
 
+const { roundCount, getLeadCounts, rankSectionVocalists, VOCAL_ROLES } = require('./lyrics.js');
+const { normalizeAlias } = require('./roster.js');
+
+/**
+ * Lyrics page statuses of songs that have no vocals to count yet; they are
+ * listed in the breakdown but left out of the success rate
+ */
+const NON_VOCAL_STATUSES = ['instrumental', 'unreleased'];
+
 /**
  * Aggregate vocalist statistics across multiple songs
  * @param {Array} songResults - Array of song processing results
+ * @param {Object} options - Aggregation options
+ * @param {string} options.shareMetric - Lead metric that decides each vocalist's share and the top vocalist (lines, words or syllables)
+ * @param {boolean} options.uniqueOnly - Count only the first performance of each line in every song
  * @returns {Object} Aggregated album statistics
  */
-function aggregateAlbumStats(songResults) {
+function aggregateAlbumStats(songResults, options = {}) {
+  const { shareMetric = 'lines', uniqueOnly = false } = options;
   const successfulSongs = songResults.filter(result => result.success && result.vocalistStats);
+  const nonVocalSongs = songResults.filter(result => !result.success && NON_VOCAL_STATUSES.includes(result.status)).length;
+  const vocalSongs = songResults.length - nonVocalSongs;
   
   if (successfulSongs.length === 0) {
     return {
       totalSongs: songResults.length,
       processedSongs: 0,
+      nonVocalSongs,
       successRate: 0,
       totalLines: 0,
       totalWords: 0,
+      totalSyllables: 0,
+      totalLeadLines: 0,
+      totalLeadWords: 0,
+      totalLeadSyllables: 0,
+      totalSecondsSung: 0,
+      totalRepeatedLines: 0,
+      timedSongs: 0,
+      shareMetric,
+      uniqueOnly,
       vocalistDistribution: {},
       topVocalist: null,
-      songBreakdown: []
+      songBreakdown: [],
+      duetDistribution: {},
+      unmatchedVocalists: [],
+      sectionDistribution: {},
+      openers: {},
+      diagnostics: summarizeDiagnostics([])
     };
   }
   
@@ -27,49 +57,116 @@ function aggregateAlbumStats(songResults) {
   const aggregatedVocalists = {};
   let totalLines = 0;
   let totalWords = 0;
+  let totalSyllables = 0;
+  let totalLeadLines = 0;
+  let totalLeadWords = 0;
+  let totalLeadSyllables = 0;
+  let totalSecondsSung = 0;
+  let totalRepeatedLines = 0;
+  let timedSongs = 0; // Songs with a track length, and so a secondsSung estimate
   
   // Aggregate stats from all successful songs
   successfulSongs.forEach(song => {
     const songStats = song.vocalistStats.vocalistStats;
+    const writers = song.metadata ? song.metadata.writers.map(normalizeAlias) : [];
     
     Object.entries(songStats).forEach(([vocalist, stats]) => {
       if (!aggregatedVocalists[vocalist]) {
         aggregatedVocalists[vocalist] = {
           lines: 0,
           words: 0,
+          syllables: 0,
+          leadLines: 0,
+          leadWords: 0,
+          leadSyllables: 0,
+          secondsSung: 0,
+          uniqueLines: 0,
+          uniqueWords: 0,
+          repeatedLines: 0,
+          roles: createEmptyRoles(),
           songsAppeared: 0,
+          songsWritten: 0, // Songs crediting the vocalist as a writer on Genius
           songDetails: []
         };
       }
       
-      aggregatedVocalists[vocalist].lines += stats.lines;
-      aggregatedVocalists[vocalist].words += stats.words;
-      aggregatedVocalists[vocalist].songsAppeared += 1;
-      aggregatedVocalists[vocalist].songDetails.push({
+      const aggregated = aggregatedVocalists[vocalist];
+      const counts = (uniqueOnly && stats.unique) || stats;
+      const lead = getLeadCounts(counts);
+      const wroteSong = writers.includes(normalizeAlias(vocalist));
+      
+      if (stats.isGroup) {
+        aggregated.isGroup = true;
+      }
+      
+      aggregated.lines = roundCount(aggregated.lines + counts.lines);
+      aggregated.words = roundCount(aggregated.words + counts.words);
+      aggregated.syllables = roundCount(aggregated.syllables + (counts.syllables || 0));
+      aggregated.leadLines = roundCount(aggregated.leadLines + lead.lines);
+      aggregated.leadWords = roundCount(aggregated.leadWords + lead.words);
+      aggregated.leadSyllables = roundCount(aggregated.leadSyllables + lead.syllables);
+      aggregated.secondsSung = roundCount(aggregated.secondsSung + (stats.secondsSung || 0));
+      aggregated.uniqueLines = roundCount(aggregated.uniqueLines + (stats.unique ? stats.unique.lines : stats.lines));
+      aggregated.uniqueWords = roundCount(aggregated.uniqueWords + (stats.unique ? stats.unique.words : stats.words));
+      aggregated.repeatedLines = roundCount(aggregated.repeatedLines + (stats.repeatedLines || 0));
+      addRoles(aggregated.roles, counts.roles || { lead });
+      aggregated.songsAppeared += 1;
+      if (wroteSong) {
+        aggregated.songsWritten += 1;
+      }
+      aggregated.songDetails.push({
         songTitle: song.songInfo.title,
-        lines: stats.lines,
-        words: stats.words,
+        wroteSong,
+        lines: counts.lines,
+        words: counts.words,
+        syllables: counts.syllables || 0,
+        repeatedLines: stats.repeatedLines || 0,
+        secondsSung: stats.secondsSung ?? null,
         linesPercentage: parseFloat(stats.linesPercentage),
-        wordsPercentage: parseFloat(stats.wordsPercentage)
+        wordsPercentage: parseFloat(stats.wordsPercentage),
+        leadLinesPercentage: parseFloat(stats.leadLinesPercentage ?? stats.linesPercentage),
+        sharePercentage: parseFloat(stats.sharePercentage ?? stats.leadLinesPercentage ?? stats.linesPercentage)
       });
     });
     
-    totalLines += song.vocalistStats.totalLines;
-    totalWords += song.vocalistStats.totalWords;
+    totalLines = roundCount(totalLines + song.vocalistStats.totalLines);
+    totalWords = roundCount(totalWords + song.vocalistStats.totalWords);
+    totalSyllables = roundCount(totalSyllables + (song.vocalistStats.totalSyllables || 0));
+    totalLeadLines = roundCount(totalLeadLines + (song.vocalistStats.totalLeadLines ?? song.vocalistStats.totalLines));
+    totalLeadWords = roundCount(totalLeadWords + (song.vocalistStats.totalLeadWords ?? song.vocalistStats.totalWords));
+    totalLeadSyllables = roundCount(totalLeadSyllables + (song.vocalistStats.totalLeadSyllables ?? song.vocalistStats.totalSyllables ?? 0));
+    totalSecondsSung = roundCount(totalSecondsSung + (song.vocalistStats.totalSecondsSung || 0));
+    totalRepeatedLines = roundCount(totalRepeatedLines + (song.vocalistStats.totalRepeatedLines || 0));
+    if (song.vocalistStats.totalSecondsSung > 0) {
+      timedSongs += 1;
+    }
   });
   
-  // Calculate percentages and find top vocalist
+  const percentage = (value, total) => total > 0 ? (value / total * 100).toFixed(1) : 0;
+  const shareKey = `lead${shareMetric.charAt(0).toUpperCase()}${shareMetric.slice(1)}`;
+  const shareTotal = { lines: totalLeadLines, words: totalLeadWords, syllables: totalLeadSyllables }[shareMetric];
+  
+  // Calculate percentages and find top lead vocalist (the group bucket never counts as one)
   let topVocalist = null;
-  let maxLines = 0;
+  let maxShare = 0;
   
   Object.entries(aggregatedVocalists).forEach(([vocalist, stats]) => {
-    stats.linesPercentage = totalLines > 0 ? (stats.lines / totalLines * 100).toFixed(1) : 0;
-    stats.wordsPercentage = totalWords > 0 ? (stats.words / totalWords * 100).toFixed(1) : 0;
+    stats.linesPercentage = percentage(stats.lines, totalLines);
+    stats.wordsPercentage = percentage(stats.words, totalWords);
+    stats.syllablesPercentage = percentage(stats.syllables, totalSyllables);
+    stats.leadLinesPercentage = percentage(stats.leadLines, totalLeadLines);
+    stats.leadWordsPercentage = percentage(stats.leadWords, totalLeadWords);
+    stats.leadSyllablesPercentage = percentage(stats.leadSyllables, totalLeadSyllables);
+    stats.sharePercentage = percentage(stats[shareKey], shareTotal);
+    stats.secondsSungPercentage = percentage(stats.secondsSung, totalSecondsSung);
+    stats.repetitionRatio = stats.uniqueLines + stats.repeatedLines > 0
+      ? roundCount(stats.repeatedLines / (stats.uniqueLines + stats.repeatedLines))
+      : 0;
     stats.averageLinesPerSong = (stats.lines / stats.songsAppeared).toFixed(1);
     stats.averageWordsPerSong = (stats.words / stats.songsAppeared).toFixed(1);
     
-    if (stats.lines > maxLines) {
-      maxLines = stats.lines;
+    if (!stats.isGroup && stats[shareKey] > maxShare) {
+      maxShare = stats[shareKey];
       topVocalist = vocalist;
     }
   });
@@ -81,18 +178,28 @@ function aggregateAlbumStats(songResults) {
     status: 'success',
     lines: song.vocalistStats.totalLines,
     words: song.vocalistStats.totalWords,
+    leadLines: song.vocalistStats.totalLeadLines ?? song.vocalistStats.totalLines,
     vocalists: Object.keys(song.vocalistStats.vocalistStats),
+    openingVocalists: song.openingVocalists || [],
+    releaseDate: song.metadata ? song.metadata.releaseDate : null,
+    writers: song.metadata ? song.metadata.writers : [],
+    producers: song.metadata ? song.metadata.producers : [],
+    matchedTitle: song.match ? `${song.songInfo.title} by ${song.songInfo.primary_artist?.name || 'unknown artist'}` : null,
+    matchScore: song.match && song.match.score !== undefined ? song.match.score : null,
+    matchSource: song.match ? song.match.source || 'search' : null,
+    lowConfidenceLines: song.diagnostics ? song.diagnostics.confidence.low : 0,
+    warnings: song.diagnostics ? song.diagnostics.warnings.length : 0,
     processingTime: song.processingTime,
-    topVocalist: findTopVocalistInSong(song.vocalistStats.vocalistStats)
+    topVocalist: findTopVocalistInSong(song.vocalistStats.vocalistStats, shareMetric, uniqueOnly)
   }));
   
-  // Add failed songs to breakdown
+  // Add failed and non-vocal songs to breakdown
   const failedSongs = songResults.filter(result => !result.success);
   failedSongs.forEach(song => {
     songBreakdown.push({
       title: song.title || 'Unknown',
       trackNumber: song.trackNumber || null,
-      status: 'failed',
+      status: NON_VOCAL_STATUSES.includes(song.status) ? song.status : 'failed',
       error: song.error,
       processingTime: song.processingTime || 0
     });
@@ -109,29 +216,220 @@ function aggregateAlbumStats(songResults) {
   return {
     totalSongs: songResults.length,
     processedSongs: successfulSongs.length,
-    successRate: ((successfulSongs.length / songResults.length) * 100).toFixed(1),
+    nonVocalSongs,
+    successRate: ((successfulSongs.length / vocalSongs) * 100).toFixed(1),
     totalLines,
     totalWords,
+    totalSyllables,
+    totalLeadLines,
+    totalLeadWords,
+    totalLeadSyllables,
+    totalSecondsSung,
+    totalRepeatedLines,
+    timedSongs,
+    shareMetric,
+    uniqueOnly,
+    roleTotals: sumRoles(Object.values(aggregatedVocalists)),
     vocalistDistribution: aggregatedVocalists,
     topVocalist,
     songBreakdown,
     averageLinesPerSong: successfulSongs.length > 0 ? (totalLines / successfulSongs.length).toFixed(1) : 0,
-    averageWordsPerSong: successfulSongs.length > 0 ? (totalWords / successfulSongs.length).toFixed(1) : 0
+    averageWordsPerSong: successfulSongs.length > 0 ? (totalWords / successfulSongs.length).toFixed(1) : 0,
+    duetDistribution: aggregateDuetStats(successfulSongs),
+    unmatchedVocalists: collectUnmatchedVocalists(successfulSongs),
+    sectionDistribution: aggregateSectionStats(successfulSongs),
+    openers: countOpeners(successfulSongs),
+    diagnostics: summarizeDiagnostics(successfulSongs)
+  };
+}
+
+/**
+ * Summarize parser diagnostics across songs
+ * @param {Array} songResults - Array of successful song results
+ * @returns {Object} { confidence: { high, medium, low }, warnings, songs } where songs lists the songs with issues
+ */
+function summarizeDiagnostics(songResults) {
+  const summary = {
+    confidence: { high: 0, medium: 0, low: 0 },
+    warnings: 0,
+    songs: []
   };
+  
+  songResults.forEach(song => {
+    if (!song.diagnostics) return;
+    
+    const { confidence, warnings } = song.diagnostics;
+    Object.keys(summary.confidence).forEach(level => {
+      summary.confidence[level] += confidence[level] || 0;
+    });
+    summary.warnings += warnings.length;
+    
+    if (confidence.low > 0 || warnings.length > 0) {
+      summary.songs.push({
+        title: song.songInfo.title,
+        lowConfidenceLines: confidence.low,
+        warnings: warnings.length
+      });
+    }
+  });
+  
+  return summary;
+}
+
+/**
+ * Aggregate per-section-type statistics across songs
+ * @param {Array} songResults - Array of successful song results
+ * @returns {Object} Statistics keyed by section type ({ sections, songsAppeared, vocalists })
+ */
+function aggregateSectionStats(songResults) {
+  const sections = {};
+  
+  songResults.forEach(song => {
+    Object.entries(song.sectionStats || {}).forEach(([type, stats]) => {
+      if (!sections[type]) {
+        sections[type] = {
+          sections: 0,
+          songsAppeared: 0,
+          vocalists: {}
+        };
+      }
+      
+      const aggregated = sections[type];
+      aggregated.sections += stats.sections;
+      aggregated.songsAppeared += 1;
+      
+      Object.entries(stats.vocalists).forEach(([vocalist, vocalistStats]) => {
+        if (!aggregated.vocalists[vocalist]) {
+          aggregated.vocalists[vocalist] = { sections: 0, lines: 0, words: 0 };
+        }
+        
+        const target = aggregated.vocalists[vocalist];
+        target.sections += vocalistStats.sections;
+        target.lines = roundCount(target.lines + vocalistStats.lines);
+        target.words = roundCount(target.words + vocalistStats.words);
+      });
+    });
+  });
+  
+  return sections;
+}
+
+/**
+ * Count how many songs each vocalist opens
+ * @param {Array} songResults - Array of successful song results
+ * @returns {Object} Number of songs opened keyed by vocalist
+ */
+function countOpeners(songResults) {
+  const openers = {};
+  
+  songResults.forEach(song => {
+    (song.openingVocalists || []).forEach(vocalist => {
+      openers[vocalist] = (openers[vocalist] || 0) + 1;
+    });
+  });
+  
+  return openers;
+}
+
+/**
+ * Create an empty per-role line and word breakdown
+ * @returns {Object} Role breakdown with zero counts
+ */
+function createEmptyRoles() {
+  const roles = {};
+  VOCAL_ROLES.forEach(role => {
+    roles[role] = { lines: 0, words: 0, syllables: 0 };
+  });
+  return roles;
+}
+
+/**
+ * Add one per-role breakdown to another
+ * @param {Object} target - Role breakdown to add to
+ * @param {Object} source - Role breakdown to add (missing roles count as zero)
+ */
+function addRoles(target, source) {
+  VOCAL_ROLES.forEach(role => {
+    if (source[role]) {
+      target[role].lines = roundCount(target[role].lines + source[role].lines);
+      target[role].words = roundCount(target[role].words + source[role].words);
+      target[role].syllables = roundCount(target[role].syllables + (source[role].syllables || 0));
+    }
+  });
+}
+
+/**
+ * Sum the role breakdowns of several vocalists
+ * @param {Array} vocalistStats - Array of aggregated vocalist statistics
+ * @returns {Object} Combined role breakdown
+ */
+function sumRoles(vocalistStats) {
+  const totals = createEmptyRoles();
+  vocalistStats.forEach(stats => addRoles(totals, stats.roles));
+  return totals;
+}
+
+/**
+ * Aggregate duo pairing statistics across songs
+ * @param {Array} songResults - Array of successful song results
+ * @returns {Object} Duet statistics keyed by pairing
+ */
+function aggregateDuetStats(songResults) {
+  const duets = {};
+  
+  songResults.forEach(song => {
+    Object.entries(song.duetStats || {}).forEach(([pairing, stats]) => {
+      if (!duets[pairing]) {
+        duets[pairing] = {
+          lines: 0,
+          words: 0,
+          songsAppeared: 0
+        };
+      }
+      
+      duets[pairing].lines += stats.lines;
+      duets[pairing].words += stats.words;
+      duets[pairing].songsAppeared += 1;
+    });
+  });
+  
+  return duets;
+}
+
+/**
+ * Collect vocalist names that no song could resolve against the roster
+ * @param {Array} songResults - Array of successful song results
+ * @returns {Array} Unique unmatched vocalist names
+ */
+function collectUnmatchedVocalists(songResults) {
+  const names = [];
+  
+  songResults.forEach(song => {
+    (song.unmatchedVocalists || []).forEach(name => {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    });
+  });
+  
+  return names;
 }
 
 /**
  * Find the top vocalist in a single song
  * @param {Object} vocalistStats - Vocalist statistics for a song
- * @returns {string|null} Name of top vocalist
+ * @param {string} shareMetric - Lead metric to rank by (lines, words or syllables)
+ * @param {boolean} uniqueOnly - Rank by unique lines only
+ * @returns {string|null} Name of the vocalist with the largest lead share (never the group bucket)
  */
-function findTopVocalistInSong(vocalistStats) {
+function findTopVocalistInSong(vocalistStats, shareMetric = 'lines', uniqueOnly = false) {
   let topVocalist = null;
-  let maxLines = 0;
+  let maxShare = 0;
   
   Object.entries(vocalistStats).forEach(([vocalist, stats]) => {
-    if (stats.lines > maxLines) {
-      maxLines = stats.lines;
+    const share = getLeadCounts((uniqueOnly && stats.unique) || stats)[shareMetric];
+    if (!stats.isGroup && share > maxShare) {
+      maxShare = share;
       topVocalist = vocalist;
     }
   });
@@ -159,8 +457,10 @@ function generateAlbumInsights(albumStats) {
   const vocalists = Object.entries(albumStats.vocalistDistribution);
   const totalSongs = albumStats.processedSongs;
   
-  // Analyze vocalist balance
-  const percentages = vocalists.map(([, stats]) => parseFloat(stats.linesPercentage));
+  // Analyze vocalist balance between individual vocalists
+  const individualVocalists = vocalists.filter(([, stats]) => !stats.isGroup);
+  const percentages = (individualVocalists.length > 0 ? individualVocalists : vocalists)
+    .map(([, stats]) => parseFloat(stats.sharePercentage ?? stats.leadLinesPercentage ?? stats.linesPercentage));
   const maxPercentage = Math.max(...percentages);
   const minPercentage = Math.min(...percentages);
   const difference = maxPercentage - minPercentage;
@@ -181,13 +481,13 @@ function generateAlbumInsights(albumStats) {
     insights.participation[vocalist] = {
       songsAppeared: stats.songsAppeared,
       participationRate: participationRate.toFixed(1),
-      averageContribution: stats.linesPercentage
+      averageContribution: stats.sharePercentage ?? stats.leadLinesPercentage ?? stats.linesPercentage
     };
   });
   
   // Analyze consistency (how consistent each vocalist's contribution is across songs)
   vocalists.forEach(([vocalist, stats]) => {
-    const songPercentages = stats.songDetails.map(song => song.linesPercentage);
+    const songPercentages = stats.songDetails.map(song => song.sharePercentage ?? song.leadLinesPercentage ?? song.linesPercentage);
     const avgPercentage = songPercentages.reduce((sum, p) => sum + p, 0) / songPercentages.length;
     const variance = songPercentages.reduce((sum, p) => sum + Math.pow(p - avgPercentage, 2), 0) / songPercentages.length;
     const standardDeviation = Math.sqrt(variance);
@@ -215,6 +515,9 @@ function createAlbumReport(albumInfo, albumStats, insights) {
   lines.push(`Album: ${albumInfo.title}`);
   lines.push(`Artist: ${albumInfo.artist}`);
   lines.push(`Release ID: ${albumInfo.releaseId || 'Unknown'}`);
+  if (albumInfo.source) {
+    lines.push(`Tracklist Source: ${albumInfo.source === 'genius' ? 'Genius' : 'MusicBrainz'}`);
+  }
   lines.push(`Generated: ${new Date().toISOString().split('T')[0]}`);
   lines.push('');
   
@@ -222,9 +525,21 @@ function createAlbumReport(albumInfo, albumStats, insights) {
   lines.push(`${'-'.repeat(30)}`);
   lines.push(`Total Songs: ${albumStats.totalSongs}`);
   lines.push(`Successfully Processed: ${albumStats.processedSongs}`);
+  if (albumStats.nonVocalSongs > 0) {
+    lines.push(`Instrumental/Unreleased: ${albumStats.nonVocalSongs} (not counted in success rate)`);
+  }
   lines.push(`Success Rate: ${albumStats.successRate}%`);
   lines.push(`Total Lines Analyzed: ${albumStats.totalLines}`);
   lines.push(`Total Words Analyzed: ${albumStats.totalWords}`);
+  if (albumStats.totalSyllables !== undefined) {
+    lines.push(`Total Syllables Analyzed: ${albumStats.totalSyllables}`);
+  }
+  if (albumStats.timedSongs !== undefined) {
+    lines.push(`Songs With Track Length: ${albumStats.timedSongs}`);
+  }
+  if (albumStats.shareMetric) {
+    lines.push(`Share Metric: lead ${albumStats.shareMetric}${albumStats.uniqueOnly ? ' (unique lines only)' : ''}`);
+  }
   lines.push('');
   
   if (Object.keys(albumStats.vocalistDistribution).length > 0) {
@@ -232,22 +547,75 @@ function createAlbumReport(albumInfo, albumStats, insights) {
     lines.push(`${'-'.repeat(30)}`);
     
     const sortedVocalists = Object.entries(albumStats.vocalistDistribution)
-      .sort(([,a], [,b]) => b.lines - a.lines);
+      .sort(([,a], [,b]) => (b.leadLines ?? b.lines) - (a.leadLines ?? a.lines));
     
     sortedVocalists.forEach(([vocalist, stats]) => {
       lines.push(`${vocalist}:`);
+      if (stats.leadLines !== undefined) {
+        lines.push(`  Lead Lines: ${stats.leadLines} (${stats.leadLinesPercentage}%)`);
+        lines.push(`  Lead Words: ${stats.leadWords} (${stats.leadWordsPercentage}%)`);
+      }
       lines.push(`  Lines: ${stats.lines} (${stats.linesPercentage}%)`);
       lines.push(`  Words: ${stats.words} (${stats.wordsPercentage}%)`);
+      if (stats.syllables !== undefined) {
+        lines.push(`  Syllables: ${stats.syllables} (${stats.syllablesPercentage}%)`);
+      }
+      if (albumStats.timedSongs > 0) {
+        lines.push(`  Seconds Sung (est.): ${stats.secondsSung} (${stats.secondsSungPercentage}%)`);
+      }
+      if (stats.repeatedLines !== undefined) {
+        lines.push(`  Unique Lines: ${stats.uniqueLines}, Repeated: ${stats.repeatedLines} (${(stats.repetitionRatio * 100).toFixed(1)}% repetition)`);
+      }
+      if (stats.roles) {
+        lines.push(`  Backing: ${stats.roles.backing.lines} lines, Ad-libs: ${stats.roles['ad-lib'].lines} lines, Spoken: ${stats.roles.spoken.lines} lines`);
+      }
       lines.push(`  Songs Appeared: ${stats.songsAppeared}/${albumStats.processedSongs}`);
+      if (stats.songsWritten > 0) {
+        lines.push(`  Songs Co-written: ${stats.songsWritten}`);
+      }
       lines.push(`  Avg Lines/Song: ${stats.averageLinesPerSong}`);
       lines.push(`  Consistency: ${insights.participation[vocalist]?.consistency || 'Unknown'}`);
       lines.push('');
     });
     
+    if (albumStats.duetDistribution && Object.keys(albumStats.duetDistribution).length > 0) {
+      lines.push(`DUETS`);
+      lines.push(`${'-'.repeat(30)}`);
+      Object.entries(albumStats.duetDistribution).forEach(([pairing, stats]) => {
+        lines.push(`${pairing}: ${stats.lines} lines, ${stats.words} words in ${stats.songsAppeared} song(s)`);
+      });
+      lines.push('');
+    }
+    
+    if (albumStats.sectionDistribution && Object.keys(albumStats.sectionDistribution).length > 0) {
+      lines.push(`SECTIONS`);
+      lines.push(`${'-'.repeat(30)}`);
+      Object.entries(albumStats.sectionDistribution).forEach(([type, stats]) => {
+        const leaders = rankSectionVocalists(stats)
+          .map(([vocalist, vocalistStats]) => `${vocalist} ${vocalistStats.sections}`)
+          .join(', ');
+        lines.push(`${type} (${stats.sections} sections): ${leaders || 'no lead vocals'}`);
+      });
+      
+      const openers = Object.entries(albumStats.openers || {}).sort(([, a], [, b]) => b - a);
+      if (openers.length > 0) {
+        lines.push(`Songs Opened: ${openers.map(([vocalist, count]) => `${vocalist} ${count}`).join(', ')}`);
+      }
+      lines.push('');
+    }
+    
     lines.push(`INSIGHTS`);
     lines.push(`${'-'.repeat(30)}`);
     lines.push(`Dominant Vocalist: ${insights.dominantVocalist || 'None'}`);
     lines.push(`Vocal Balance: ${insights.vocalistBalance}`);
+    if (albumStats.unmatchedVocalists && albumStats.unmatchedVocalists.length > 0) {
+      lines.push(`Unmatched Vocalists: ${albumStats.unmatchedVocalists.join(', ')}`);
+    }
+    if (albumStats.diagnostics) {
+      const { confidence } = albumStats.diagnostics;
+      lines.push(`Attribution Confidence: ${confidence.high} high, ${confidence.medium} medium, ${confidence.low} low`);
+      lines.push(`Parser Warnings: ${albumStats.diagnostics.warnings}`);
+    }
     lines.push('');
   }
   
@@ -261,8 +629,30 @@ function createAlbumReport(albumInfo, albumStats, insights) {
     if (song.status === 'success') {
       lines.push(`   Status: ✅ Success`);
       lines.push(`   Lines: ${song.lines}, Words: ${song.words}`);
+      if (song.matchedTitle) {
+        lines.push(`   Genius Match: ${song.matchedTitle} (${song.matchScore !== null ? `score ${song.matchScore}` : `by ${song.matchSource}`})`);
+      }
+      if (song.releaseDate) {
+        lines.push(`   Released: ${song.releaseDate}`);
+      }
+      if (song.writers && song.writers.length > 0) {
+        lines.push(`   Writers: ${song.writers.join(', ')}`);
+      }
+      if (song.producers && song.producers.length > 0) {
+        lines.push(`   Producers: ${song.producers.join(', ')}`);
+      }
       lines.push(`   Vocalists: ${song.vocalists.join(', ')}`);
       lines.push(`   Top Vocalist: ${song.topVocalist || 'Unknown'}`);
+      if (song.openingVocalists && song.openingVocalists.length > 0) {
+        lines.push(`   Opened By: ${song.openingVocalists.join(', ')}`);
+      }
+      if (song.lowConfidenceLines > 0 || song.warnings > 0) {
+        lines.push(`   Diagnostics: ${song.lowConfidenceLines} low-confidence line(s), ${song.warnings} warning(s)`);
+      }
+    } else if (song.status === 'instrumental') {
+      lines.push(`   Status: 🎼 Instrumental`);
+    } else if (song.status === 'unreleased') {
+      lines.push(`   Status: ⏳ Unreleased`);
     } else {
       lines.push(`   Status: ❌ Failed`);
       lines.push(`   Error: ${song.error || 'Unknown error'}`);
@@ -274,6 +664,7 @@ function createAlbumReport(albumInfo, albumStats, insights) {
 }
 
 module.exports = {
+  NON_VOCAL_STATUSES,
   aggregateAlbumStats,
   findTopVocalistInSong,
   generateAlbumInsights,
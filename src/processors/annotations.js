@@ -0,0 +1,115 @@
+/**
+ * Genius annotations: mapping referents onto parsed lyric lines
+ */
+
+/**
+ * Normalise a Genius referent and its annotations
+ * @param {Object} referent - Referent from the Genius API (requested with text_format=plain)
+ * @returns {Object} { id, fragment, annotations: [{ id, text, votes, verified, state }] }
+ */
+function normalizeReferent(referent) {
+  return {
+    id: referent.id,
+    fragment: referent.fragment || '',
+    annotations: (referent.annotations || []).map(annotation => ({
+      id: annotation.id,
+      text: annotation.body && annotation.body.plain ? annotation.body.plain.trim() : '',
+      votes: annotation.votes_total || 0,
+      verified: Boolean(annotation.verified),
+      state: annotation.state || null
+    }))
+  };
+}
+
+/**
+ * Reduce lyric text to what decides whether a fragment covers it
+ * @param {string} text - Lyric or fragment text
+ * @returns {string} Lowercased letters, numbers and single spaces
+ */
+function matchKey(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the parsed lines a referent's fragment covers
+ *
+ * Every fragment line must match consecutive lyric lines. Fragments often
+ * start or end mid-line, so the first and last fragment lines may be whole
+ * words from part of a lyric line; lines in between must match exactly.
+ * Section headers in the fragment are ignored. The first place the whole
+ * fragment fits wins.
+ *
+ * @param {string} fragment - Referent fragment, one lyric line per line
+ * @param {Array} lineKeys - matchKey of every parsed line
+ * @returns {Array|null} [firstIndex, lastIndex], or null if the fragment fits nowhere
+ */
+function findFragmentLines(fragment, lineKeys) {
+  const fragmentKeys = fragment
+    .split('\n')
+    .filter(line => !/^\s*\[[^\]]*\]\s*$/.test(line))
+    .map(matchKey)
+    .filter(key => key.length > 0);
+  if (fragmentKeys.length === 0) return null;
+  
+  const last = fragmentKeys.length - 1;
+  const covers = (lineKey, fragmentKey, offset) => (offset === 0 || offset === last)
+    ? ` ${lineKey} `.includes(` ${fragmentKey} `)
+    : lineKey === fragmentKey;
+  
+  for (let start = 0; start + fragmentKeys.length <= lineKeys.length; start++) {
+    if (fragmentKeys.every((fragmentKey, offset) => covers(lineKeys[start + offset], fragmentKey, offset))) {
+      return [start, start + fragmentKeys.length - 1];
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Attach annotations to the parsed lyric lines their referents cover
+ *
+ * Each covered line gets an annotations array; every entry carries the
+ * referent's fragment and lineRange so multi-line annotations can be shown
+ * once, after their last line.
+ *
+ * @param {Array} parsedLyrics - Lines from parseLyricsWithVocalists (modified in place)
+ * @param {Array} referents - Referents from normalizeReferent
+ * @returns {Object} { attached, unmatched } where unmatched lists referents that fit no line
+ */
+function attachAnnotations(parsedLyrics, referents) {
+  const lineKeys = parsedLyrics.map(item => matchKey(item.segments ? item.segments.map(segment => segment.text).join(' ') : item.line));
+  const unmatched = [];
+  let attached = 0;
+  
+  referents.forEach(referent => {
+    if (referent.annotations.length === 0) return;
+    
+    const lineRange = findFragmentLines(referent.fragment, lineKeys);
+    if (!lineRange) {
+      unmatched.push(referent);
+      return;
+    }
+    
+    for (let index = lineRange[0]; index <= lineRange[1]; index++) {
+      const item = parsedLyrics[index];
+      item.annotations = item.annotations || [];
+      referent.annotations.forEach(annotation => {
+        item.annotations.push({ referentId: referent.id, fragment: referent.fragment, lineRange, ...annotation });
+      });
+    }
+    attached++;
+  });
+  
+  return { attached, unmatched };
+}
+
+module.exports = {
+  normalizeReferent,
+  findFragmentLines,
+  attachAnnotations
+};
\ No newline at end of file
@@ -1,117 +1,683 @@
 const fs = require('fs');
+const { resolveVocalistName, splitDuoCredit, expandCredit } = require('./roster.js');
+const { countSyllables } = require('./syllables.js');
+const { decodeEntities, normalizeText, countWords } = require('./text.js');
 
 /**
  * Parse lyrics text and identify vocalists based on formatting
  * @param {string} lyricsText - The raw lyrics text
+ * @param {Object} options - Parsing options
+ * @param {Object} options.roster - Roster from createRoster used to resolve vocalist aliases
+ * @param {string} options.groupMode - How group and duo lines are credited: full, split or group
+ * @param {boolean} options.trackDuets - Also keep statistics for each duo pairing
+ * @param {string} options.artist - Artist credited for uncredited sections when no roster is configured
+ * @param {Object} options.formats - Map of formatting tag names to styles (defaults to DEFAULT_FORMAT_TAGS)
+ * @param {Array} options.speakerLabels - Inline speaker label formats to recognise (see SPEAKER_LABEL_FORMATS)
+ * @param {string} options.locale - BCP 47 locale used to split lines into words (defaults to the runtime locale)
+ * @param {number} options.duration - Track length in seconds, used to estimate secondsSung
+ * @param {Object} options.timing - Intro and outro allowance ({ introSeconds, outroSeconds }) left out of the sung time
  * @returns {Object} Parsed lyrics with vocalist information and statistics
  */
-function parseLyricsWithVocalists(lyricsText) {
-  const lines = lyricsText.split('\n');
+function parseLyricsWithVocalists(lyricsText, options = {}) {
+  const {
+    roster = null,
+    groupMode = 'full',
+    trackDuets = false,
+    artist = null,
+    formats = DEFAULT_FORMAT_TAGS,
+    speakerLabels = SPEAKER_LABEL_FORMATS,
+    locale = null,
+    duration = null,
+    timing = DEFAULT_TIMING
+  } = options;
+  const lines = normalizeText(lyricsText).split('\n');
   const result = [];
   const vocalistStats = {};
+  const duetStats = {};
+  const unmatchedVocalists = [];
+  const sectionStats = {};
+  const sectionCounts = {}; // Sections seen so far per section type
+  let openingVocalists = [];
+  let currentSection = null;
+  let sectionCredited = {}; // Vocalists already credited with the current section
+  const creditedSections = {}; // Vocalists credited to each section name, for later uncredited repeats
+  const groupCredit = roster ? { [roster.groupName]: 'plain' } : artist ? { [artist]: 'plain' } : {};
   let currentVocalists = {};
-  let openFormattingTag = null; // Track unclosed formatting tags
-  let openTagVocalist = null; // Track which vocalist started the open tag
+  let inherited = false; // Whether the current section's vocalists were inherited rather than credited
+  let sectionRole = null; // Role forced by the section header, e.g. "(Spoken)"
+  let openTags = []; // Formatting tags left open by previous lines
+  let parenDepth = 0; // Parentheses left open by previous lines
+  const diagnostics = createDiagnostics();
+  let unmatchedFormats = {}; // Formats already reported for the current section
+  const knownVocalists = roster ? [] : findPrefixSpeakers(lines, speakerLabels); // Vocalists accepted as speaker labels, plus those credited in headers so far
+  const uniqueStats = {}; // Counts of each vocalist's first performance of every line
+  const sungLines = {}; // Line texts each vocalist has already sung
   
-  for (const line of lines) {
+  for (const [index, line] of lines.entries()) {
+    const lineNumber = index + 1;
     const trimmedLine = line.trim();
     
     // Skip empty lines
     if (!trimmedLine) continue;
     
+    // Inline speaker labels ("Nick: text", "(Brian)", "[Nick:]") switch the active vocalist within a section
+    let lyricLine = trimmedLine;
+    const label = matchSpeakerLabel(trimmedLine, speakerLabels);
+    if (label) {
+      const labelVocalists = parseVocalists(label.name, roster, formats);
+      const names = Object.keys(labelVocalists);
+      const known = names.length > 0 && names.every(name => isSpeakerName(name, knownVocalists, roster));
+      
+      // A bracketed label like "[Nick:]" is a speaker unless it names a section type
+      if (known || (label.format === 'header' && names.length > 0 && parseSectionName(label.name).type === 'other')) {
+        currentVocalists = labelVocalists;
+        inherited = false;
+        
+        if (roster) {
+          names.forEach(name => {
+            if (!resolveVocalistName(name, roster).matched && !unmatchedVocalists.includes(name)) {
+              unmatchedVocalists.push(name);
+              addWarning(diagnostics, 'unmatched-vocalist', lineNumber, `"${name}" is not in the roster`);
+            }
+          });
+        }
+        
+        if (!label.text) continue;
+        lyricLine = label.text;
+      }
+    }
+    
     // Check if line is a section header (e.g., [Verse 1: Brian])
     const sectionMatch = trimmedLine.match(/^\[([^\]]+)\]$/);
     if (sectionMatch) {
       const sectionContent = sectionMatch[1];
       
+      if (openTags.length > 0) {
+        addWarning(diagnostics, 'unclosed-tag', lineNumber,
+          `Formatting tag(s) ${openTags.map(tag => `<${tag}>`).join(', ')} left open before "${trimmedLine}"`);
+      }
+      
       // Reset formatting state for new section
-      openFormattingTag = null;
-      openTagVocalist = null;
+      openTags = [];
+      unmatchedFormats = {};
+      parenDepth = 0;
+      sectionRole = /\bspoken\b/i.test(sectionContent) ? 'spoken' : null;
+      
+      // Track the section name, type and its position among sections of that type
+      currentSection = parseSectionName(sectionContent);
+      sectionCounts[currentSection.type] = (sectionCounts[currentSection.type] || 0) + 1;
+      currentSection.index = sectionCounts[currentSection.type];
+      sectionCredited = {};
+      if (!sectionStats[currentSection.type]) {
+        sectionStats[currentSection.type] = { sections: 0, vocalists: {} };
+      }
+      sectionStats[currentSection.type].sections += 1;
       
       // Extract vocalists from section header
       const colonIndex = sectionContent.indexOf(':');
-      if (colonIndex !== -1) {
-        const vocalistsPart = sectionContent.substring(colonIndex + 1).trim();
+      const vocalistsPart = colonIndex !== -1 ? stripRoleAnnotations(sectionContent.substring(colonIndex + 1)).trim() : '';
+      
+      // Parse vocalists, handling HTML tags and multiple names
+      const creditedVocalists = vocalistsPart ? parseVocalists(vocalistsPart, roster, formats) : {};
+      const sectionKey = currentSection.name.toLowerCase();
+      
+      if (Object.keys(creditedVocalists).length > 0) {
+        currentVocalists = creditedVocalists;
+        creditedSections[sectionKey] = creditedVocalists;
+        Object.keys(creditedVocalists).forEach(name => {
+          [name, ...splitDuoCredit(name)].forEach(known => {
+            if (!knownVocalists.includes(known)) knownVocalists.push(known);
+          });
+        });
+        inherited = false;
+        
+        // Report names the roster doesn't know about
+        if (roster) {
+          Object.keys(currentVocalists).forEach(name => {
+            if (!resolveVocalistName(name, roster).matched && !unmatchedVocalists.includes(name)) {
+              unmatchedVocalists.push(name);
+              addWarning(diagnostics, 'unmatched-vocalist', lineNumber, `"${name}" is not in the roster`);
+            }
+          });
+        }
+      } else {
+        if (vocalistsPart) {
+          addWarning(diagnostics, 'unparseable-header', lineNumber, `Could not read vocalists from "${trimmedLine}"`);
+        }
         
-        // Parse vocalists, handling HTML tags and multiple names
-        currentVocalists = parseVocalists(vocalistsPart);
+        // Uncredited repeats ("[Chorus]") reuse the earlier section of the same name, otherwise the group
+        currentVocalists = creditedSections[sectionKey] || groupCredit;
+        inherited = true;
       }
       continue;
     }
     
     // Process lyric lines
     if (Object.keys(currentVocalists).length > 0) {
-      let vocalist;
+      // Split the line into formatted segments, continuing any tags left open by earlier lines
+      const split = splitLineIntoSegments(lyricLine, openTags, parenDepth, formats);
+      openTags = split.openTags;
+      parenDepth = split.parenDepth;
       
-      // Check if we're continuing a multi-line formatting tag
-      if (openFormattingTag && openTagVocalist) {
-        vocalist = openTagVocalist;
+      const matches = [];
+      const segments = split.segments.map(segment => {
+        const match = matchVocalist(segment.format, currentVocalists);
+        const vocalist = match.vocalist;
+        matches.push(match);
         
-        // Check if this line closes the open tag
-        if (trimmedLine.includes(`</${openFormattingTag}>`)) {
-          openFormattingTag = null;
-          openTagVocalist = null;
+        if (REASON_CONFIDENCE[match.reason] !== 'high' && !unmatchedFormats[segment.format]) {
+          unmatchedFormats[segment.format] = true;
+          addWarning(diagnostics, 'unmatched-format', lineNumber,
+            `No vocalist credited with ${segment.format} formatting in "${currentSection ? currentSection.name : 'unknown section'}"`);
         }
-      } else {
-        vocalist = determineVocalist(trimmedLine, currentVocalists);
         
-        // Check if this line starts a formatting tag that doesn't close
-        const openTagMatch = trimmedLine.match(/<(i|b)>/);
-        const closeTagMatch = trimmedLine.match(/<\/(i|b)>/);
+        const text = decodeEntities(segment.text);
+        return {
+          text,
+          format: segment.format,
+          role: classifyRole(text, segment.parenthetical, sectionRole),
+          vocalist,
+          words: countWords(text, locale),
+          syllables: countSyllables(text),
+          // Group and duo credits are expanded into member credits according to groupMode
+          credits: expandCredit(vocalist, roster, groupMode)
+        };
+      });
+      
+      if (segments.length === 0) continue;
+      
+      // Each credited vocalist gets the line once (per role) and the words and syllables of their own segments
+      const lineCredits = {};
+      const lineTexts = {}; // What each credited vocalist sings in this line
+      const lineDuets = {};
+      segments.forEach(segment => {
+        segment.credits.forEach(credit => {
+          const counts = lineCredits[credit.name] || (lineCredits[credit.name] = createRoleCounts());
+          lineTexts[credit.name] = `${lineTexts[credit.name] || ''} ${segment.text}`;
+          const roleCounts = counts.roles[segment.role];
+          counts.lines = Math.max(counts.lines, credit.weight);
+          counts.words += segment.words * credit.weight;
+          counts.syllables += segment.syllables * credit.weight;
+          roleCounts.lines = Math.max(roleCounts.lines, credit.weight);
+          roleCounts.words += segment.words * credit.weight;
+          roleCounts.syllables += segment.syllables * credit.weight;
+        });
         
-        if (openTagMatch && !closeTagMatch) {
-          openFormattingTag = openTagMatch[1];
-          openTagVocalist = vocalist;
+        if (trackDuets && splitDuoCredit(segment.vocalist).length > 1) {
+          const counts = lineDuets[segment.vocalist] || (lineDuets[segment.vocalist] = { lines: 1, words: 0 });
+          counts.words += segment.words;
         }
-      }
+      });
       
-      // Calculate statistics while parsing
-      const cleanText = trimmedLine.replace(/<[^>]*>/g, '').trim();
-      const wordCount = cleanText.split(/\s+/).filter(word => word.length > 0).length;
+      Object.entries(lineCredits).forEach(([name, counts]) => {
+        creditVocalist(vocalistStats, name, counts);
+        
+        // Only the first time a vocalist sings a line counts towards their unique content
+        const sung = sungLines[name] || (sungLines[name] = new Set());
+        const lineKey = repetitionKey(lineTexts[name]);
+        if (!sung.has(lineKey)) {
+          sung.add(lineKey);
+          creditVocalist(uniqueStats, name, counts);
+        }
+        
+        if (roster && name === roster.groupName) {
+          vocalistStats[name].isGroup = true;
+        }
+        
+        if (currentSection && counts.roles.lead.lines > 0) {
+          creditSection(sectionStats[currentSection.type], name, counts.roles.lead, !sectionCredited[name]);
+          sectionCredited[name] = true;
+        }
+      });
       
-      if (!vocalistStats[vocalist]) {
-        vocalistStats[vocalist] = {
-          lines: 0,
-          words: 0
-        };
+      // The first lead or spoken line of the song decides who opens it
+      if (openingVocalists.length === 0) {
+        openingVocalists = Object.keys(lineCredits).filter(name =>
+          lineCredits[name].roles.lead.lines > 0 || lineCredits[name].roles.spoken.lines > 0
+        );
       }
       
-      vocalistStats[vocalist].lines += 1;
-      vocalistStats[vocalist].words += wordCount;
+      Object.entries(lineDuets).forEach(([pairing, counts]) => {
+        creditDuet(duetStats, pairing, counts.lines, counts.words);
+      });
+      
+      // The line is only as certain as its least certain segment
+      const lineMatch = matches.reduce((lowest, match) =>
+        CONFIDENCE_LEVELS.indexOf(REASON_CONFIDENCE[match.reason]) > CONFIDENCE_LEVELS.indexOf(REASON_CONFIDENCE[lowest.reason]) ? match : lowest
+      );
+      const reason = inherited && REASON_CONFIDENCE[lineMatch.reason] === 'high' ? 'inherited' : lineMatch.reason;
+      addLineDiagnostic(diagnostics, result.length, lineNumber, reason);
       
       result.push({
-        vocalist: vocalist,
-        line: trimmedLine
+        vocalist: segments[0].vocalist,
+        line: lyricLine,
+        role: segments.some(segment => segment.role === 'lead') ? 'lead' : segments[0].role,
+        section: currentSection ? { ...currentSection } : null,
+        inherited,
+        credits: Object.keys(lineCredits),
+        segments: segments.map(segment => ({
+          ...segment,
+          credits: segment.credits.map(credit => credit.name)
+        }))
       });
+    } else {
+      addWarning(diagnostics, 'unattributed-line', lineNumber, `Skipped "${lyricLine}" because no vocalist is credited for it`);
     }
   }
   
+  if (openTags.length > 0) {
+    addWarning(diagnostics, 'unclosed-tag', lines.length,
+      `Formatting tag(s) ${openTags.map(tag => `<${tag}>`).join(', ')} left open at the end of the lyrics`);
+  }
+  
+  Object.entries(vocalistStats).forEach(([name, stats]) => {
+    addRepetitionStats(stats, uniqueStats[name]);
+  });
+  
+  const timingEstimate = duration ? estimateSecondsSung(result, vocalistStats, duration, timing) : null;
+  
   return {
     parsedLyrics: result,
-    vocalistStats: vocalistStats
+    vocalistStats: vocalistStats,
+    duetStats,
+    unmatchedVocalists,
+    sectionStats,
+    openingVocalists,
+    diagnostics,
+    timing: timingEstimate
+  };
+}
+
+/**
+ * Default intro and outro allowance in seconds, left out of the sung time
+ * (the processing.lyrics.timing default in the configuration)
+ */
+const DEFAULT_TIMING = {
+  introSeconds: 10,
+  outroSeconds: 10
+};
+
+/**
+ * Estimate how long each vocalist sings by spreading the track length over the parsed lines
+ *
+ * The track length minus the intro and outro allowance is divided between
+ * segments by syllable count. Vocalists get the time of their segments with
+ * the same weight as their syllables, so split group lines share the time
+ * and full group lines give every member the whole time.
+ *
+ * @param {Array} parsedLyrics - Parsed lines (each line gets a seconds estimate)
+ * @param {Object} vocalistStats - Vocalist statistics (each vocalist gets secondsSung)
+ * @param {number} duration - Track length in seconds
+ * @param {Object} timing - Intro and outro allowance ({ introSeconds, outroSeconds })
+ * @returns {Object|null} { duration, singingSeconds, secondsPerSyllable }, or null when nothing was sung
+ */
+function estimateSecondsSung(parsedLyrics, vocalistStats, duration, timing = DEFAULT_TIMING) {
+  const lineSyllables = parsedLyrics.map(line => line.segments.reduce((sum, segment) => sum + segment.syllables, 0));
+  const totalSyllables = lineSyllables.reduce((sum, syllables) => sum + syllables, 0);
+  if (!(duration > 0) || totalSyllables === 0) return null;
+  
+  // The allowance never takes more than half of the track
+  const allowance = Math.min((timing.introSeconds || 0) + (timing.outroSeconds || 0), duration / 2);
+  const singingSeconds = duration - allowance;
+  const secondsPerSyllable = singingSeconds / totalSyllables;
+  
+  parsedLyrics.forEach((line, index) => {
+    line.seconds = roundCount(lineSyllables[index] * secondsPerSyllable);
+  });
+  Object.values(vocalistStats).forEach(stats => {
+    stats.secondsSung = roundCount(stats.syllables * secondsPerSyllable);
+  });
+  
+  return {
+    duration,
+    singingSeconds: roundCount(singingSeconds),
+    secondsPerSyllable: roundCount(secondsPerSyllable)
+  };
+}
+
+/**
+ * Inline speaker label formats
+ * - prefix: "Nick: line text" credits the line (and the lines after it)
+ * - marker: "(Brian)" on its own line switches the vocalist for the lines after it
+ * - header: "[Nick:]" on its own line, like a section header without a section name
+ *
+ * Prefix and marker labels only count when the name is in the roster or was
+ * credited in an earlier header, so lyrics like "(Yeah)" are left alone.
+ * Without a roster, hand-prepared lyric files that label their lines with at
+ * least two different names ("Nick:", "Brian:") are analysed too (see
+ * findPrefixSpeakers).
+ */
+const SPEAKER_LABEL_FORMATS = ['prefix', 'marker', 'header'];
+
+/**
+ * Match an inline speaker label on a lyric line
+ * @param {string} line - Trimmed lyric line
+ * @param {Array} enabledFormats - Label formats to recognise
+ * @returns {Object|null} { format, name, text } where text is the lyric after a prefix label, or null
+ */
+function matchSpeakerLabel(line, enabledFormats = SPEAKER_LABEL_FORMATS) {
+  const patterns = {
+    header: /^\[([^\]:]+):\s*\]$/,
+    marker: /^\(([^()]+)\)$/,
+    prefix: /^([^\s:<>()[\]][^:<>()[\]]{0,40}?):\s+(\S.*)$/
   };
+  
+  for (const format of SPEAKER_LABEL_FORMATS) {
+    if (!enabledFormats.includes(format)) continue;
+    
+    const match = line.match(patterns[format]);
+    if (match) {
+      return { format, name: match[1].trim(), text: match[2] || null };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Find the speakers named by prefix labels in lyrics analysed without a roster
+ *
+ * Only lyrics without credited section headers are treated as hand-prepared
+ * (with credits, the credited names are the speakers). Name-shaped prefixes
+ * (up to three capitalised words, e.g. "Nick" or "Howie D.") then count when
+ * at least two different ones appear, as in a transcription that alternates
+ * between vocalists. A lone "Baby: don't you cry" is left as a lyric.
+ *
+ * @param {Array} lines - Lyric lines
+ * @param {Array} enabledFormats - Label formats to recognise
+ * @returns {Array} Speaker names, or an empty array when fewer than two were found
+ */
+function findPrefixSpeakers(lines, enabledFormats = SPEAKER_LABEL_FORMATS) {
+  if (!enabledFormats.includes('prefix')) return [];
+  if (lines.some(line => /^\[[^\]:]+:[^\]]*[^\s\]][^\]]*\]$/.test(line.trim()))) return [];
+  
+  const names = new Set();
+  lines.forEach(line => {
+    const label = matchSpeakerLabel(line.trim(), ['prefix']);
+    if (label && /^[A-Z][\w.'’-]*(?: [A-Z][\w.'’-]*){0,2}$/.test(label.name)) {
+      names.add(label.name);
+    }
+  });
+  
+  return names.size >= 2 ? [...names] : [];
+}
+
+/**
+ * Check whether a speaker label names a vocalist
+ *
+ * Without a roster only vocalists credited in an earlier header, or found by
+ * findPrefixSpeakers, count, so lyrics such as "Baby: don't you cry" don't
+ * switch the vocalist.
+ *
+ * @param {string} name - Resolved vocalist name from the label
+ * @param {Array} knownVocalists - Vocalists (and duo members) credited in earlier headers, plus prefix speakers
+ * @param {Object|null} roster - Roster from createRoster
+ * @returns {boolean} True if the label should switch the active vocalist
+ */
+function isSpeakerName(name, knownVocalists, roster) {
+  if (knownVocalists.includes(name)) return true;
+  return roster ? resolveVocalistName(name, roster).matched : false;
+}
+
+/**
+ * Confidence levels for line attributions, most certain first
+ */
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Confidence of each way a line can be attributed to a vocalist
+ * - format-match:            the segment's formatting matches a credited vocalist
+ * - single-vocalist:         the section credits only one vocalist
+ * - partial-format-match:    one style of a combined format (e.g. bold in bold-italic) matches
+ * - inherited:               the section had no credit and reused an earlier one
+ * - plain-fallback:          no vocalist has the segment's format, so the plain vocalist was used
+ * - first-vocalist-fallback: nothing matched, so the first credited vocalist was used
+ * - no-vocalists:            no vocalist was credited at all
+ */
+const REASON_CONFIDENCE = {
+  'format-match': 'high',
+  'single-vocalist': 'high',
+  'partial-format-match': 'medium',
+  'inherited': 'medium',
+  'plain-fallback': 'medium',
+  'first-vocalist-fallback': 'low',
+  'no-vocalists': 'low'
+};
+
+/**
+ * Create an empty diagnostics block
+ * @returns {Object} { confidence: { high, medium, low }, lines: [], warnings: [] }
+ */
+function createDiagnostics() {
+  const confidence = {};
+  CONFIDENCE_LEVELS.forEach(level => {
+    confidence[level] = 0;
+  });
+  
+  return { confidence, lines: [], warnings: [] };
+}
+
+/**
+ * Record the confidence of one parsed line
+ * @param {Object} diagnostics - Diagnostics block from createDiagnostics
+ * @param {number} index - Index of the line in parsedLyrics
+ * @param {number} lineNumber - 1-based line number in the lyrics text
+ * @param {string} reason - Attribution reason (see REASON_CONFIDENCE)
+ */
+function addLineDiagnostic(diagnostics, index, lineNumber, reason) {
+  const confidence = REASON_CONFIDENCE[reason];
+  diagnostics.confidence[confidence] += 1;
+  diagnostics.lines.push({ index, lineNumber, confidence, reason });
+}
+
+/**
+ * Record a parser warning
+ * @param {Object} diagnostics - Diagnostics block from createDiagnostics
+ * @param {string} type - Warning type (unclosed-tag, unparseable-header, unmatched-format, unmatched-vocalist, unattributed-line)
+ * @param {number} lineNumber - 1-based line number in the lyrics text
+ * @param {string} message - Human readable description
+ */
+function addWarning(diagnostics, type, lineNumber, message) {
+  diagnostics.warnings.push({ type, lineNumber, message });
+}
+
+/**
+ * Section types recognised in headers; anything else is reported as 'other'
+ */
+const SECTION_TYPES = [
+  'intro', 'verse', 'pre-chorus', 'chorus', 'post-chorus', 'hook',
+  'refrain', 'bridge', 'breakdown', 'interlude', 'outro'
+];
+
+/**
+ * Parse the section name and type from a section header
+ * @param {string} sectionContent - Header text without the surrounding brackets
+ * @returns {Object} { name, type } (e.g. { name: 'Verse 1', type: 'verse' })
+ */
+function parseSectionName(sectionContent) {
+  const colonIndex = sectionContent.indexOf(':');
+  const name = stripRoleAnnotations(colonIndex === -1 ? sectionContent : sectionContent.substring(0, colonIndex))
+    .replace(/<[^>]*>/g, '')
+    .trim();
+  
+  // "Verse 2" -> "verse", "Pre Chorus" -> "pre-chorus", "Final Chorus" -> "chorus"
+  const normalized = name.toLowerCase().replace(/\s*\d+$/, '').replace(/\s+/g, '-');
+  const type = SECTION_TYPES
+    .filter(sectionType => new RegExp(`(^|-)${sectionType}(-|$)`).test(normalized))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return { name, type: type || 'other' };
+}
+
+/**
+ * Add a vocalist's lead counts for one line to the statistics of a section type
+ * @param {Object} typeStats - Statistics for one section type ({ sections, vocalists })
+ * @param {string} name - Vocalist name
+ * @param {Object} lead - Lead { lines, words } for the line
+ * @param {boolean} newSection - Whether this is the vocalist's first line in the current section
+ */
+function creditSection(typeStats, name, lead, newSection) {
+  if (!typeStats.vocalists[name]) {
+    typeStats.vocalists[name] = { sections: 0, lines: 0, words: 0 };
+  }
+  
+  const stats = typeStats.vocalists[name];
+  if (newSection) {
+    stats.sections += 1;
+  }
+  stats.lines = roundCount(stats.lines + lead.lines);
+  stats.words = roundCount(stats.words + lead.words);
+}
+
+/**
+ * Vocal roles a line or segment can have
+ * - lead:    the main sung line
+ * - backing: parenthetical lyrics echoing or answering the lead
+ * - ad-lib:  parenthetical vocalisations such as "(Yeah, yeah)" or "(Ooh)"
+ * - spoken:  lines in sections marked as spoken
+ */
+const VOCAL_ROLES = ['lead', 'backing', 'ad-lib', 'spoken'];
+
+/**
+ * Create empty line, word and syllable counts with a per-role breakdown
+ * @returns {Object} { lines, words, syllables, roles: { lead, backing, ad-lib, spoken } }
+ */
+function createRoleCounts() {
+  const roles = {};
+  VOCAL_ROLES.forEach(role => {
+    roles[role] = { lines: 0, words: 0, syllables: 0 };
+  });
+  
+  return { lines: 0, words: 0, syllables: 0, roles };
+}
+
+/**
+ * Add line, word and syllable counts to a vocalist's running statistics
+ * @param {Object} vocalistStats - Statistics being built by the parser
+ * @param {string} name - Vocalist name
+ * @param {Object} counts - Counts from createRoleCounts (fractional when a line is shared)
+ */
+function creditVocalist(vocalistStats, name, counts) {
+  if (!vocalistStats[name]) {
+    vocalistStats[name] = createRoleCounts();
+  }
+  
+  const stats = vocalistStats[name];
+  stats.lines = roundCount(stats.lines + counts.lines);
+  stats.words = roundCount(stats.words + counts.words);
+  stats.syllables = roundCount(stats.syllables + counts.syllables);
+  
+  VOCAL_ROLES.forEach(role => {
+    stats.roles[role].lines = roundCount(stats.roles[role].lines + counts.roles[role].lines);
+    stats.roles[role].words = roundCount(stats.roles[role].words + counts.roles[role].words);
+    stats.roles[role].syllables = roundCount(stats.roles[role].syllables + counts.roles[role].syllables);
+  });
+}
+
+/**
+ * Add line and word counts to a duo pairing's running statistics
+ * @param {Object} duetStats - Duet statistics being built by the parser
+ * @param {string} pairing - Duo credit (e.g. "AJ & Brian")
+ * @param {number} lines - Lines to add
+ * @param {number} words - Words to add
+ */
+function creditDuet(duetStats, pairing, lines, words) {
+  if (!duetStats[pairing]) {
+    duetStats[pairing] = {
+      lines: 0,
+      words: 0
+    };
+  }
+  
+  duetStats[pairing].lines += lines;
+  duetStats[pairing].words += words;
+}
+
+/**
+ * Reduce a sung line to the text that decides whether it is a repeat
+ * @param {string} text - Decoded line text
+ * @returns {string} Lowercased text without punctuation or extra whitespace
+ */
+function repetitionKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Add unique and repeated line counts to a vocalist's statistics
+ * @param {Object} stats - Vocalist statistics from creditVocalist
+ * @param {Object} unique - Counts of the vocalist's first performance of each line (see createRoleCounts)
+ */
+function addRepetitionStats(stats, unique = createRoleCounts()) {
+  stats.unique = unique;
+  stats.repeatedLines = roundCount(stats.lines - unique.lines);
+  stats.repetitionRatio = stats.lines > 0 ? roundCount(stats.repeatedLines / stats.lines) : 0;
+}
+
+/**
+ * Sort the vocalists of one section type by sections led, then lines
+ * @param {Object} typeStats - Statistics for one section type ({ vocalists })
+ * @returns {Array} [vocalist, stats] entries, most sections first
+ */
+function rankSectionVocalists(typeStats) {
+  return Object.entries(typeStats.vocalists)
+    .sort(([, a], [, b]) => b.sections - a.sections || b.lines - a.lines);
+}
+
+/**
+ * Get the lead-vocal line, word and syllable counts from vocalist statistics
+ * @param {Object} stats - Statistics for one vocalist
+ * @returns {Object} { lines, words, syllables } sung as lead (all lines when no role breakdown exists)
+ */
+function getLeadCounts(stats) {
+  const lead = stats.roles && stats.roles.lead ? stats.roles.lead : stats;
+  return { lines: lead.lines, words: lead.words, syllables: lead.syllables || 0 };
+}
+
+/**
+ * Metrics that can count as a vocalist's share of a song
+ */
+const SHARE_METRICS = ['lines', 'words', 'syllables'];
+
+/**
+ * Round a count to two decimals so split credits don't accumulate float noise
+ * @param {number} value - Count to round
+ * @returns {number} Rounded count
+ */
+function roundCount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Remove role annotations such as "(Spoken)" from the vocalist part of a header
+ * @param {string} vocalistsPart - The vocalist part of a section header
+ * @returns {string} Vocalist part without role annotations
+ */
+function stripRoleAnnotations(vocalistsPart) {
+  return vocalistsPart.replace(/\s*\(\s*(?:spoken|whispered)\s*\)/gi, '');
 }
 
 /**
  * Parse vocalist information from section headers using tag-aware approach
  * @param {string} vocalistsPart - The vocalist part of a section header
+ * @param {Object} roster - Optional roster used to map aliases to canonical names
+ * @param {Object} formats - Map of formatting tag names to styles
  * @returns {Object} Dictionary with vocalist names as keys and formats as values
  */
-function parseVocalists(vocalistsPart) {
+function parseVocalists(vocalistsPart, roster = null, formats = DEFAULT_FORMAT_TAGS) {
   const vocalists = {};
   let remainingText = vocalistsPart;
   
   // Step 1: Extract all tagged vocalists first (preserve tag boundaries)
-  const taggedResult = extractTaggedVocalists(remainingText);
+  const taggedResult = extractTaggedVocalists(remainingText, formats);
   for (const vocalist of taggedResult.vocalists) {
-    vocalists[vocalist.name] = vocalist.format;
+    vocalists[resolveVocalistName(vocalist.name, roster).name] = vocalist.format;
   }
   remainingText = taggedResult.remainingText;
   
   // Step 2: Process remaining untagged text with delimiter splitting
   const untaggedVocalists = parseUntaggedText(remainingText);
   for (const vocalist of untaggedVocalists) {
-    vocalists[vocalist.name] = vocalist.format;
+    vocalists[resolveVocalistName(vocalist.name, roster).name] = vocalist.format;
   }
   
   return vocalists;
@@ -120,59 +686,22 @@ function parseVocalists(vocalistsPart) {
 /**
  * Extract all HTML tagged sections first
  * @param {string} text - Input text
+ * @param {Object} formats - Map of formatting tag names to styles
  * @returns {Object} { vocalists: Array, remainingText: string }
  */
-function extractTaggedVocalists(text) {
+function extractTaggedVocalists(text, formats = DEFAULT_FORMAT_TAGS) {
   const vocalists = [];
-  let workingText = text;
-  
-  // Process in order of specificity to avoid double-matching
-  const patterns = [
-    // Bold-italic patterns (most specific first)
-    { regex: /<b><i>([^<]+)<\/i><\/b>/g, format: 'bold-italic' },
-    { regex: /<i><b>([^<]+)<\/b><\/i>/g, format: 'bold-italic' },
-    // Individual formatting
-    { regex: /<b>([^<]+)<\/b>/g, format: 'bold' },
-    { regex: /<i>([^<]+)<\/i>/g, format: 'italic' }
-  ];
-  
-  // Extract matches with their positions first
-  const allMatches = [];
-  
-  for (const { regex, format } of patterns) {
-    regex.lastIndex = 0; // Reset regex state
-    let match;
-    
-    while ((match = regex.exec(text)) !== null) {
-      allMatches.push({
-        fullMatch: match[0],
-        content: match[1].trim(),
-        format: format,
-        start: match.index,
-        end: match.index + match[0].length
-      });
-    }
-  }
-  
-  // Sort by position to maintain order
-  allMatches.sort((a, b) => a.start - b.start);
+  let workingText = '';
   
-  // Remove overlapping matches (keep the first/most specific one)
-  const filteredMatches = [];
-  for (const match of allMatches) {
-    const overlaps = filteredMatches.some(existing => 
-      (match.start >= existing.start && match.start < existing.end) ||
-      (match.end > existing.start && match.end <= existing.end)
-    );
+  // Every run of formatted text is one credited vocalist; plain text is left for delimiter splitting
+  const { runs } = tokenizeFormatting(text, formats);
+  for (const run of runs) {
+    let content = run.text.trim();
     
-    if (!overlaps) {
-      filteredMatches.push(match);
+    if (run.format === 'plain' || !content) {
+      workingText += run.text;
+      continue;
     }
-  }
-  
-  // Process filtered matches
-  for (const match of filteredMatches) {
-    let content = match.content;
     
     // Handle "with" pattern - extract just the name after "with"
     if (content.toLowerCase().startsWith('with ')) {
@@ -182,17 +711,13 @@ function extractTaggedVocalists(text) {
     if (content) {
       vocalists.push({
         name: processVocalistName(content),
-        format: match.format
+        format: run.format
       });
-      
-      // Remove this tag from working text
-      workingText = workingText.replace(match.fullMatch, '|||REMOVED|||');
     }
   }
   
   // Clean up remaining text
   const remainingText = workingText
-    .replace(/\|\|\|REMOVED\|\|\|/g, '')
     .replace(/\s+/g, ' ')
     .replace(/^\s*&amp;\s*/g, '') // Remove leading &amp; entities FIRST, before & cleanup
     .replace(/^[,&\s]+|[,&\s]+$/g, '') // Remove leading/trailing delimiters
@@ -203,6 +728,10 @@ function extractTaggedVocalists(text) {
 
 /**
  * Parse untagged text with delimiter splitting
+ *
+ * Commas and "with" separate vocalists; "&" joins a duo credit ("AJ & Brian"),
+ * which stays one vocalist so expandCredit can split it into its members.
+ *
  * @param {string} text - Untagged text
  * @returns {Array} Array of plain text vocalists
  */
@@ -231,8 +760,7 @@ function parseUntaggedText(text) {
  */
 function normalizeDelimiters(text) {
   return text
-    .replace(/\s*&amp;\s*/g, '|||')   // Convert &amp; to marker
-    .replace(/\s*&\s*/g, '|||')       // Convert & to marker  
+    .replace(/\s*&(?:amp;)?\s*/g, ' & ') // Keep duo credits together as "A & B"
     .replace(/\s+with\s+/gi, '|||')   // Convert "with" to marker (case insensitive)
     .replace(/\s*,\s*/g, '|||')       // Convert commas to marker
     .replace(/\|\|\|+/g, '|||')       // Normalize multiple markers
@@ -258,6 +786,7 @@ function splitIntoSegments(text) {
 function cleanSegment(segment) {
   return segment
     .replace(/^\(|\)$/g, '')  // Remove surrounding parentheses
+    .replace(/^[&\s]+|[&\s]+$/g, '') // Remove a dangling & left next to a formatted name
     .replace(/\s+/g, ' ')     // Normalize whitespace
     .trim();
 }
@@ -269,11 +798,11 @@ function cleanSegment(segment) {
  */
 function processVocalistName(name) {
   // Convert HTML entities
-  const decoded = name.replace(/&amp;/g, '&');
+  const decoded = decodeEntities(name);
   
   // For duo names (like "AJ & Brian"), keep the & to preserve the duo concept
-  // Only convert & to comma for display in certain contexts
-  // For now, preserve & in vocalist names to maintain duo relationships
+  // in the section's format mapping; the parser splits the credit into its
+  // members (see expandCredit) when counting lines and words
   return decoded;
 }
 
@@ -281,73 +810,324 @@ function processVocalistName(name) {
  * Determine which vocalist should be assigned to a line based on formatting
  * @param {string} line - The lyric line
  * @param {Object} vocalists - Dictionary with vocalist names as keys and formats as values
- * @returns {string} The name of the assigned vocalist
+ * @returns {string} The name of the assigned vocalist (taken from how the line starts)
  */
 function determineVocalist(line, vocalists) {
+  const { segments } = splitLineIntoSegments(line);
+  const format = segments.length > 0 ? segments[0].format : 'plain';
+  
+  return vocalistForFormat(format, vocalists);
+}
+
+/**
+ * Find the vocalist credited with a formatting style in the current section
+ * @param {string} format - Segment format (plain, bold, italic, bold-italic, ...)
+ * @param {Object} vocalists - Dictionary with vocalist names as keys and formats as values
+ * @returns {string} The name of the assigned vocalist
+ */
+function vocalistForFormat(format, vocalists) {
+  return matchVocalist(format, vocalists).vocalist;
+}
+
+/**
+ * Find the vocalist for a formatting style and explain how they were chosen
+ * @param {string} format - Segment format (plain, bold, italic, bold-italic, ...)
+ * @param {Object} vocalists - Dictionary with vocalist names as keys and formats as values
+ * @returns {Object} { vocalist, reason } where reason is a key of REASON_CONFIDENCE
+ */
+function matchVocalist(format, vocalists) {
   const vocalistEntries = Object.entries(vocalists);
   
-  // Check if line starts with unformatted text (assign to primary vocalist)
-  const startsWithText = /^[^<]+/.test(line);
-  if (startsWithText) {
-    const plainVocalist = vocalistEntries.find(([name, format]) => format === 'plain');
-    return plainVocalist ? plainVocalist[0] : (vocalistEntries[0] ? vocalistEntries[0][0] : 'Unknown');
+  if (vocalistEntries.length === 0) {
+    return { vocalist: 'Unknown', reason: 'no-vocalists' };
   }
   
-  // Check if line starts with bold+italic formatting
-  if (line.startsWith('<b><i>') || line.startsWith('<i><b>')) {
-    const boldItalicVocalist = vocalistEntries.find(([name, format]) => format === 'bold-italic');
-    if (boldItalicVocalist) return boldItalicVocalist[0];
+  // Exact format match, then the individual parts of a combined format
+  const candidates = [format, ...format.split('-')];
+  for (const [index, candidate] of candidates.entries()) {
+    if (candidate === 'plain') continue;
+    const match = vocalistEntries.find(([name, vocalistFormat]) => vocalistFormat === candidate);
+    if (match) {
+      return { vocalist: match[0], reason: index === 0 ? 'format-match' : 'partial-format-match' };
+    }
   }
   
-  // Check if line starts with bold formatting
-  if (line.startsWith('<b>')) {
-    const boldVocalist = vocalistEntries.find(([name, format]) => format === 'bold');
-    if (boldVocalist) return boldVocalist[0];
+  // Default to the plain vocalist, then the first vocalist
+  const plainVocalist = vocalistEntries.find(([name, vocalistFormat]) => vocalistFormat === 'plain');
+  if (plainVocalist) {
+    return { vocalist: plainVocalist[0], reason: format === 'plain' ? 'format-match' : vocalistEntries.length === 1 ? 'single-vocalist' : 'plain-fallback' };
   }
   
-  // Check if line starts with italic formatting
-  if (line.startsWith('<i>')) {
-    const italicVocalist = vocalistEntries.find(([name, format]) => format === 'italic');
-    if (italicVocalist) return italicVocalist[0];
+  return {
+    vocalist: vocalistEntries[0][0],
+    reason: vocalistEntries.length === 1 ? 'single-vocalist' : 'first-vocalist-fallback'
+  };
+}
+
+/**
+ * Default map of HTML formatting tags to the style they represent
+ * (the processing.lyrics.formats default in the configuration)
+ *
+ * Tags sharing a style are interchangeable, and combined formats list their
+ * styles in the order they first appear here, whatever the nesting order.
+ */
+const DEFAULT_FORMAT_TAGS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  u: 'underline',
+  ins: 'underline'
+};
+
+/**
+ * Get the format name for a stack of open formatting tags
+ * @param {Array} tags - Open formatting tag names
+ * @param {Object} formats - Map of formatting tag names to styles
+ * @returns {string} Format name (plain, bold, italic, bold-italic, underline, ...)
+ */
+function formatFromTags(tags, formats = DEFAULT_FORMAT_TAGS) {
+  const styles = Object.values(formats)
+    .filter((style, index, all) => all.indexOf(style) === index)
+    .filter(style => tags.some(tag => formats[tag] === style));
+  
+  return styles.length > 0 ? styles.join('-') : 'plain';
+}
+
+/**
+ * Split text into runs of uniformly formatted text
+ * @param {string} text - Text containing formatting tags
+ * @param {Object} formats - Map of formatting tag names to styles
+ * @param {Array} openTags - Formatting tags already open before the text
+ * @returns {Object} { runs: Array of { text, format }, openTags } with the tags still open at the end
+ */
+function tokenizeFormatting(text, formats = DEFAULT_FORMAT_TAGS, openTags = []) {
+  const stack = [...openTags];
+  const runs = [];
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)[^>]*>/g;
+  let lastIndex = 0;
+  let match;
+  
+  const addRun = (runText) => {
+    if (runText) {
+      runs.push({ text: runText, format: formatFromTags(stack, formats) });
+    }
+  };
+  
+  while ((match = tagPattern.exec(text)) !== null) {
+    addRun(text.slice(lastIndex, match.index));
+    
+    const tagName = match[2].toLowerCase();
+    if (formats[tagName]) {
+      if (match[1]) {
+        const index = stack.lastIndexOf(tagName);
+        if (index !== -1) stack.splice(index, 1);
+      } else {
+        stack.push(tagName);
+      }
+    }
+    
+    lastIndex = tagPattern.lastIndex;
+  }
+  addRun(text.slice(lastIndex));
+  
+  return { runs, openTags: stack };
+}
+
+/**
+ * Split a lyric line into segments of uniformly formatted text
+ *
+ * Parenthetical fragments become segments of their own so they can be
+ * classified as backing vocals or ad-libs.
+ *
+ * @param {string} line - The lyric line (may contain formatting tags)
+ * @param {Array} openTags - Formatting tags left open by previous lines
+ * @param {number} parenDepth - Parentheses left open by previous lines
+ * @param {Object} formats - Map of formatting tag names to styles
+ * @returns {Object} { segments: Array of { text, format, parenthetical }, openTags, parenDepth } with the state at the end of the line
+ */
+function splitLineIntoSegments(line, openTags = [], parenDepth = 0, formats = DEFAULT_FORMAT_TAGS) {
+  const pieces = [];
+  let depth = parenDepth;
+  
+  const { runs, openTags: stillOpen } = tokenizeFormatting(line, formats, openTags);
+  
+  // Add each run to the pieces, starting a new piece at every parenthesis
+  runs.forEach(({ text, format }) => {
+    let buffer = '';
+    const flush = () => {
+      pieces.push({ text: buffer, format, parenthetical: depth > 0 });
+      buffer = '';
+    };
+    
+    for (const char of text) {
+      if (char === '(') {
+        flush();
+        depth++;
+        buffer = char;
+      } else if (char === ')') {
+        buffer += char;
+        flush();
+        depth = Math.max(0, depth - 1);
+      } else {
+        buffer += char;
+      }
+    }
+    flush();
+  });
+  
+  return {
+    segments: mergeSegments(pieces),
+    openTags: stillOpen,
+    parenDepth: depth
+  };
+}
+
+/**
+ * Merge text pieces into segments, folding punctuation and whitespace into
+ * their neighbours so a stray comma after a closing tag isn't a segment of its own
+ * @param {Array} pieces - Array of { text, format, parenthetical }
+ * @returns {Array} Array of { text, format, parenthetical } segments
+ */
+function mergeSegments(pieces) {
+  const segments = [];
+  let carry = '';
+  
+  for (const piece of pieces) {
+    if (!/[\p{L}\p{N}]/u.test(piece.text)) {
+      if (segments.length > 0) {
+        segments[segments.length - 1].text += piece.text;
+      } else {
+        carry += piece.text;
+      }
+      continue;
+    }
+    
+    const previous = segments[segments.length - 1];
+    if (previous && previous.format === piece.format && previous.parenthetical === piece.parenthetical) {
+      previous.text += piece.text;
+    } else {
+      segments.push({ text: carry + piece.text, format: piece.format, parenthetical: piece.parenthetical });
+    }
+    carry = '';
   }
   
-  // Default to first vocalist if no formatting match
-  const plainVocalist = vocalistEntries.find(([name, format]) => format === 'plain');
-  return plainVocalist ? plainVocalist[0] : (vocalistEntries[0] ? vocalistEntries[0][0] : 'Unknown');
+  return segments
+    .map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Patterns for non-lexical vocalisations ("ooh", "yeah", "whoa", "na na")
+ */
+const VOCALISATION_PATTERNS = [
+  /^o+h*$/, /^a+h+$/, /^u+h+$/, /^m+$/, /^h+m+$/, /^y+e+a+h*$/, /^y+e+s+$/,
+  /^w+h*o+a+h*$/, /^w+o+o+$/, /^h+e+y+$/, /^n+a+$/, /^l+a+$/, /^d+a+$/, /^h+a+$/, /^o+w+$/
+];
+
+/**
+ * Check whether a word is a non-lexical vocalisation
+ * @param {string} word - Word (punctuation is ignored)
+ * @returns {boolean} True for vocalisations such as "ooh" or "yeah"
+ */
+function isVocalisation(word) {
+  const normalized = word.toLowerCase().replace(/[^a-z]/g, '');
+  return normalized.length > 0 && VOCALISATION_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Classify the vocal role of a segment
+ * @param {string} text - Segment text
+ * @param {boolean} parenthetical - Whether the segment is inside parentheses
+ * @param {string|null} sectionRole - Role forced by the section header
+ * @returns {string} One of VOCAL_ROLES
+ */
+function classifyRole(text, parenthetical, sectionRole = null) {
+  if (sectionRole) return sectionRole;
+  if (!parenthetical) return 'lead';
+  
+  const words = text.split(/[\s,-]+/).filter(word => /[a-z]/i.test(word));
+  return words.length > 0 && words.every(isVocalisation) ? 'ad-lib' : 'backing';
 }
 
 /**
  * Parse lyrics from a file
  * @param {string} filePath - Path to the lyrics file
+ * @param {Object} options - Parsing options (see parseLyricsWithVocalists)
  * @returns {Object} Parsed lyrics result
  */
-function parseLyricsFromFile(filePath) {
+function parseLyricsFromFile(filePath, options = {}) {
   try {
     const lyricsText = fs.readFileSync(filePath, 'utf8');
-    return parseLyricsWithVocalists(lyricsText);
+    return parseLyricsWithVocalists(lyricsText, options);
   } catch (error) {
     console.error(`Error reading file: ${error.message}`);
-    return { parsedLyrics: [], vocalistStats: {} };
+    return { parsedLyrics: [], vocalistStats: {}, duetStats: {}, unmatchedVocalists: [], sectionStats: {}, openingVocalists: [], diagnostics: createDiagnostics(), timing: null };
   }
 }
 
 /**
  * Generate statistics summary for parsed lyrics
+ *
+ * Percentages are given both for all roles and for lead vocals only; the
+ * lead-only percentages are the headline numbers. sharePercentage is the
+ * lead percentage for whichever metric was chosen as "share of the song".
+ * With uniqueOnly, totals and percentages count each vocalist's first
+ * performance of a line only, so repeated hooks don't inflate their share.
+ *
  * @param {Object} vocalistStats - Statistics object from parsing
+ * @param {Object} options - Summary options
+ * @param {string} options.shareMetric - Lead metric used for sharePercentage (see SHARE_METRICS)
+ * @param {boolean} options.uniqueOnly - Base totals and percentages on unique lines only
  * @returns {Object} Summary statistics
  */
-function generateStatsSummary(vocalistStats) {
-  const totalLines = Object.values(vocalistStats).reduce((sum, stats) => sum + stats.lines, 0);
-  const totalWords = Object.values(vocalistStats).reduce((sum, stats) => sum + stats.words, 0);
+function generateStatsSummary(vocalistStats, options = {}) {
+  const { shareMetric = 'lines', uniqueOnly = false } = options;
+  const countsOf = (stats) => (uniqueOnly && stats.unique) || stats;
+  const allStats = Object.values(vocalistStats);
+  const countedStats = allStats.map(countsOf);
+  const sum = (getValue, statsList = countedStats) => roundCount(statsList.reduce((total, stats) => total + (getValue(stats) || 0), 0));
+  const percentage = (value, total) => total > 0 ? (value / total * 100).toFixed(1) : 0;
+  
+  const totalLines = sum(stats => stats.lines);
+  const totalWords = sum(stats => stats.words);
+  const totalSyllables = sum(stats => stats.syllables);
+  const totalLeadLines = sum(stats => getLeadCounts(stats).lines);
+  const totalLeadWords = sum(stats => getLeadCounts(stats).words);
+  const totalLeadSyllables = sum(stats => getLeadCounts(stats).syllables);
+  const totalSecondsSung = sum(stats => stats.secondsSung, allStats);
+  const totalRepeatedLines = sum(stats => stats.repeatedLines, allStats);
+  const leadTotals = { lines: totalLeadLines, words: totalLeadWords, syllables: totalLeadSyllables };
   
   const vocalistCount = Object.keys(vocalistStats).length;
   
+  // Totals for each role across all vocalists
+  const roleTotals = {};
+  VOCAL_ROLES.forEach(role => {
+    roleTotals[role] = { lines: 0, words: 0, syllables: 0 };
+    countedStats.forEach(stats => {
+      if (stats.roles && stats.roles[role]) {
+        roleTotals[role].lines = roundCount(roleTotals[role].lines + stats.roles[role].lines);
+        roleTotals[role].words = roundCount(roleTotals[role].words + stats.roles[role].words);
+        roleTotals[role].syllables = roundCount(roleTotals[role].syllables + (stats.roles[role].syllables || 0));
+      }
+    });
+  });
+  
   // Calculate percentages
   const vocalistPercentages = {};
   Object.entries(vocalistStats).forEach(([vocalist, stats]) => {
+    const counts = countsOf(stats);
+    const lead = getLeadCounts(counts);
     vocalistPercentages[vocalist] = {
-      linesPercentage: totalLines > 0 ? (stats.lines / totalLines * 100).toFixed(1) : 0,
-      wordsPercentage: totalWords > 0 ? (stats.words / totalWords * 100).toFixed(1) : 0,
+      linesPercentage: percentage(counts.lines, totalLines),
+      wordsPercentage: percentage(counts.words, totalWords),
+      syllablesPercentage: percentage(counts.syllables || 0, totalSyllables),
+      leadLinesPercentage: percentage(lead.lines, totalLeadLines),
+      leadWordsPercentage: percentage(lead.words, totalLeadWords),
+      leadSyllablesPercentage: percentage(lead.syllables, totalLeadSyllables),
+      sharePercentage: percentage(lead[shareMetric], leadTotals[shareMetric]),
+      ...(stats.secondsSung !== undefined && { secondsSungPercentage: percentage(stats.secondsSung, totalSecondsSung) }),
       ...stats
     };
   });
@@ -355,6 +1135,15 @@ function generateStatsSummary(vocalistStats) {
   return {
     totalLines,
     totalWords,
+    totalSyllables,
+    totalLeadLines,
+    totalLeadWords,
+    totalLeadSyllables,
+    totalSecondsSung,
+    totalRepeatedLines,
+    shareMetric,
+    uniqueOnly,
+    roleTotals,
     vocalistCount,
     vocalistStats: vocalistPercentages
   };
@@ -365,6 +1154,19 @@ module.exports = {
   parseVocalists,
   processVocalistName,
   determineVocalist,
+  splitLineIntoSegments,
   parseLyricsFromFile,
-  generateStatsSummary
+  generateStatsSummary,
+  getLeadCounts,
+  classifyRole,
+  roundCount,
+  SHARE_METRICS,
+  DEFAULT_TIMING,
+  estimateSecondsSung,
+  parseSectionName,
+  rankSectionVocalists,
+  SECTION_TYPES,
+  SPEAKER_LABEL_FORMATS,
+  VOCAL_ROLES,
+  DEFAULT_FORMAT_TAGS
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Vocalist roster handling: canonical member names and alias resolution
+ */
+
+const { decodeEntities, normalizeText } = require('./text.js');
+
+/**
+ * Ways of crediting a line sung by the whole group
+ * - full:  every current member gets the full line and all of its words
+ * - split: the line and its words are divided evenly between current members
+ * - group: the line is kept in a separate group bucket
+ */
+const GROUP_MODES = ['full', 'split', 'group'];
+
+const DEFAULT_GROUP_NAME = 'Group';
+
+/**
+ * Normalize a vocalist name or alias for lookup
+ * @param {string} name - Raw vocalist name (may contain HTML tags or entities)
+ * @returns {string} Normalized lookup key
+ */
+function normalizeAlias(name) {
+  return decodeEntities(normalizeText(name).replace(/<[^>]*>/g, '')) // Strip formatting tags, then decode entities
+    .toLowerCase()
+    .replace(/[.'’`]/g, '')       // "N. Carter" -> "n carter", "A.J." -> "aj"
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a roster lookup from a roster configuration entry
+ * @param {Object} rosterConfig - Roster config ({ members: [{ name, aliases, color, current }], groupLabels, groupName })
+ * @returns {Object|null} Roster with members and alias index, or null if no roster is configured
+ */
+function createRoster(rosterConfig) {
+  if (!rosterConfig || !Array.isArray(rosterConfig.members) || rosterConfig.members.length === 0) {
+    return null;
+  }
+
+  const members = rosterConfig.members.map(member => ({
+    name: member.name,
+    aliases: member.aliases || [],
+    color: member.color || null,
+    current: member.current !== false
+  }));
+
+  const groupName = rosterConfig.groupName || DEFAULT_GROUP_NAME;
+  const groupLabels = [groupName, ...(rosterConfig.groupLabels || [])];
+
+  const aliasIndex = {};
+  members.forEach(member => {
+    [member.name, ...member.aliases].forEach(alias => {
+      aliasIndex[normalizeAlias(alias)] = member.name;
+    });
+  });
+  groupLabels.forEach(label => {
+    aliasIndex[normalizeAlias(label)] = groupName;
+  });
+
+  return {
+    members,
+    groupName,
+    groupLabels,
+    aliasIndex
+  };
+}
+
+/**
+ * Resolve a parsed vocalist name against a roster
+ * @param {string} name - Parsed vocalist name
+ * @param {Object|null} roster - Roster from createRoster
+ * @returns {Object} { name: canonical or original name, matched: boolean, isGroup: boolean }
+ */
+function resolveVocalistName(name, roster) {
+  if (!roster) {
+    return { name, matched: false, isGroup: false };
+  }
+
+  const canonical = roster.aliasIndex[normalizeAlias(name)];
+  if (canonical) {
+    return { name: canonical, matched: true, isGroup: canonical === roster.groupName };
+  }
+
+  // Duo credits ("AJ & Brian") match when every part is a known member
+  const parts = splitDuoCredit(name);
+  if (parts.length > 1) {
+    const resolvedParts = parts.map(part => resolveVocalistName(part, roster));
+    return {
+      name: resolvedParts.map(part => part.name).join(' & '),
+      matched: resolvedParts.every(part => part.matched && !part.isGroup),
+      isGroup: false
+    };
+  }
+
+  return { name, matched: false, isGroup: false };
+}
+
+/**
+ * Split a shared credit such as "AJ & Brian" into its individual names
+ * @param {string} name - Vocalist credit
+ * @returns {Array} Individual names (a single-element array for solo credits)
+ */
+function splitDuoCredit(name) {
+  return decodeEntities(name)
+    .split(/\s*&\s*/)
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+}
+
+/**
+ * Get the names of the members currently in the group
+ * @param {Object} roster - Roster from createRoster
+ * @returns {Array} Current member names
+ */
+function getCurrentMembers(roster) {
+  return roster ? roster.members.filter(member => member.current).map(member => member.name) : [];
+}
+
+/**
+ * Expand a vocalist credit into the names that should receive it
+ *
+ * Group credits expand to the current members and duo credits to their
+ * constituent members. Shared lines are credited fully to every name unless
+ * groupMode is 'split', in which case the line is divided evenly.
+ *
+ * @param {string} name - Vocalist credit assigned to a line
+ * @param {Object|null} roster - Roster from createRoster
+ * @param {string} groupMode - How group lines are credited (see GROUP_MODES)
+ * @returns {Array} Array of { name, weight } credits
+ */
+function expandCredit(name, roster, groupMode = 'full') {
+  let names;
+
+  if (roster && name === roster.groupName) {
+    if (groupMode === 'group') {
+      return [{ name, weight: 1 }];
+    }
+    names = getCurrentMembers(roster);
+  } else {
+    names = splitDuoCredit(name);
+  }
+
+  if (names.length === 0) {
+    return [{ name, weight: 1 }];
+  }
+
+  const weight = groupMode === 'split' ? 1 / names.length : 1;
+  return names.map(member => ({ name: member, weight }));
+}
+
+module.exports = {
+  GROUP_MODES,
+  normalizeAlias,
+  createRoster,
+  resolveVocalistName,
+  splitDuoCredit,
+  getCurrentMembers,
+  expandCredit
+};
\ No newline at end of file
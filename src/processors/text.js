@@ -0,0 +1,78 @@
+/**
+ * Unicode-aware text helpers for lyric lines: entity decoding, normalisation and word counting
+ */
+
+/**
+ * Named HTML entities that turn up in lyrics; numeric references are decoded separately
+ */
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—'
+};
+
+// Zero-width spaces and byte order marks pasted in with the lyrics; joiners are kept for emoji and Indic scripts
+const INVISIBLE_CHARACTERS = /[\u200B\uFEFF]/g;
+
+const wordSegmenters = {};
+
+/**
+ * Decode HTML entities, including decimal and hexadecimal character references
+ * @param {string} text - Text that may contain entities such as &amp; or &#x27;
+ * @returns {string} Decoded text (unknown entities are left as they are)
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, decimal, hex, name) => {
+    if (name) return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+/**
+ * Normalise lyrics text so equivalent characters compare and count the same
+ * @param {string} text - Raw text
+ * @returns {string} NFC-normalised text without zero-width spaces
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFC').replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Count the words in a piece of lyric text
+ *
+ * Uses Intl.Segmenter, so scripts written without spaces (Japanese, Chinese)
+ * are split into words rather than counted as one word per line. Hyphenated
+ * words ("whoa-oh") count once, as they did when splitting on whitespace.
+ *
+ * @param {string} text - Decoded text without formatting tags
+ * @param {string} [locale] - BCP 47 locale for segmentation (defaults to the runtime locale)
+ * @returns {number} Word count
+ */
+function countWords(text, locale) {
+  const key = locale || '';
+  const segmenter = wordSegmenters[key] || (wordSegmenters[key] = new Intl.Segmenter(locale || undefined, { granularity: 'word' }));
+  let count = 0;
+  for (const segment of segmenter.segment(text.replace(/(?<=\p{L})-(?=\p{L})/gu, ''))) {
+    if (segment.isWordLike) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  HTML_ENTITIES,
+  decodeEntities,
+  normalizeText,
+  countWords
+};
\ No newline at end of file
@@ -1,26 +1,24 @@
 const https = require('https');
 const zlib = require('zlib');
 const cheerio = require('cheerio');
+const { decodeEntities } = require('../processors/text.js');
 
 /**
- * Search for a song using Genius API
- * @param {string} artist - The artist name
- * @param {string} songTitle - The song title
- * @param {string} accessToken - Genius API access token
- * @param {string} albumName - Optional album name for better search accuracy
- * @returns {Promise<Array>} Array of song search results
+ * Make a GET request to the Genius API
+ * @param {string} apiPath - API path including the query string, e.g. "/songs/378195"
+ * @param {string} accessToken - Genius API access token (not needed for the genius.com web API)
+ * @param {string} hostname - api.genius.com, or genius.com for the web API that also covers album search
+ * @returns {Promise<Object>} Parsed JSON response body
  */
-function searchSong(artist, songTitle, accessToken, albumName = '') {
+function requestGeniusAPI(apiPath, accessToken, hostname = 'api.genius.com') {
   return new Promise((resolve, reject) => {
-    const searchQuery = `${songTitle} by ${artist}`
-    const query = encodeURIComponent(searchQuery);
     const options = {
-      hostname: 'api.genius.com',
-      path: `/search?q=${query}`,
+      hostname,
+      path: apiPath,
       method: 'GET',
       headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'User-Agent': 'Lyrics Fetcher and Cleaner'
+        'User-Agent': 'Lyrics Fetcher and Cleaner',
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
       }
     };
     
@@ -33,13 +31,7 @@ function searchSong(artist, songTitle, accessToken, albumName = '') {
       
       res.on('end', () => {
         try {
-          const response = JSON.parse(data);
-          if (response.response && response.response.hits) {
-            const songs = response.response.hits.map(hit => hit.result);
-            resolve(songs);
-          } else {
-            resolve([]);
-          }
+          resolve(JSON.parse(data));
         } catch (error) {
           reject(error);
         }
@@ -51,6 +43,470 @@ function searchSong(artist, songTitle, accessToken, albumName = '') {
   });
 }
 
+/**
+ * Search for a song using Genius API
+ * @param {string} artist - The artist name
+ * @param {string} songTitle - The song title
+ * @param {string} accessToken - Genius API access token
+ * @param {string} albumName - Ignored; kept in place for existing callers (findBestMatch scores hits by album instead)
+ * @param {Object} options - Search options
+ * @param {number} options.page - Page of search results to fetch (1-based)
+ * @returns {Promise<Array>} Array of song search results
+ */
+async function searchSong(artist, songTitle, accessToken, albumName = '', { page = 1 } = {}) {
+  const searchQuery = `${songTitle} by ${artist}`;
+  const response = await requestGeniusAPI(`/search?q=${encodeURIComponent(searchQuery)}&page=${page}`, accessToken);
+  
+  if (response.response && response.response.hits) {
+    return response.response.hits.map(hit => hit.result);
+  }
+  return [];
+}
+
+/**
+ * Get a song's full record from the Genius API
+ * @param {string|number} songId - Genius song ID
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<Object>} Song record (same fields as a search hit, plus album, media and more)
+ * @throws {Error} If the ID is invalid or no song has it
+ */
+async function getSongById(songId, accessToken) {
+  if (!/^\d+$/.test(String(songId))) {
+    throw new Error(`Invalid Genius song ID "${songId}"`);
+  }
+  
+  const response = await requestGeniusAPI(`/songs/${songId}`, accessToken);
+  if (!response.response || !response.response.song) {
+    const message = response.meta && response.meta.message ? `: ${response.meta.message}` : '';
+    throw new Error(`Genius song ${songId} not found${message}`);
+  }
+  
+  return response.response.song;
+}
+
+/**
+ * Get all referents (annotated lyric fragments) of a song from the Genius API
+ * @param {string|number} songId - Genius song ID
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<Array>} Referents with their annotations in plain text
+ */
+async function getSongReferents(songId, accessToken) {
+  const referents = [];
+  let page = 1;
+  
+  while (page) {
+    const response = await requestGeniusAPI(`/referents?song_id=${songId}&text_format=plain&per_page=50&page=${page}`, accessToken);
+    const pageReferents = response.response && response.response.referents ? response.response.referents : [];
+    
+    referents.push(...pageReferents);
+    page = pageReferents.length === 50 ? page + 1 : null;
+  }
+  
+  return referents;
+}
+
+/**
+ * Read a Genius song URL
+ * @param {string} url - Lyrics page ("https://genius.com/Artist-title-lyrics") or song URL ("https://genius.com/songs/378195")
+ * @returns {Object} { songId, url } where songId is null unless the URL contains it
+ * @throws {Error} If the URL is not a genius.com URL
+ */
+function parseGeniusUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL "${url}"`);
+  }
+  
+  if (!/(^|\.)genius\.com$/i.test(urlObj.hostname)) {
+    throw new Error(`"${url}" is not a Genius URL`);
+  }
+  
+  const idMatch = urlObj.pathname.match(/^\/songs\/(\d+)\/?$/);
+  return {
+    songId: idMatch ? idMatch[1] : null,
+    url: `https://genius.com${urlObj.pathname}`
+  };
+}
+
+/**
+ * Find the Genius song ID embedded in a lyrics page
+ * @param {string} htmlContent - Lyrics page HTML
+ * @returns {string|null} Song ID, or null if the page doesn't name one
+ */
+function extractSongIdFromHTML(htmlContent) {
+  const match = htmlContent.match(/genius:\/\/songs\/(\d+)/) ||
+    htmlContent.match(/"song_id"\s*:\s*(\d+)/) ||
+    htmlContent.match(/content="\/songs\/(\d+)"/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get a song by Genius ID or URL instead of searching for it
+ * @param {Object} reference - Exactly one of { geniusId } or { url }
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<Object>} { song, htmlContent } where htmlContent is the lyrics page if it had to be fetched already
+ * @throws {Error} If the reference can't be resolved to a song
+ */
+async function fetchSongByReference(reference, accessToken) {
+  if (reference.geniusId) {
+    return { song: await getSongById(reference.geniusId, accessToken), htmlContent: null };
+  }
+  
+  const { songId, url } = parseGeniusUrl(reference.url);
+  if (songId) {
+    return { song: await getSongById(songId, accessToken), htmlContent: null };
+  }
+  
+  // Lyrics page URLs don't carry the ID, but the page itself does
+  const htmlContent = await fetchPageHTML(url);
+  const pageSongId = extractSongIdFromHTML(htmlContent);
+  if (!pageSongId) {
+    throw new Error(`Genius song not found at ${url}`);
+  }
+  
+  return { song: await getSongById(pageSongId, accessToken), htmlContent };
+}
+
+/**
+ * Normalise a Genius song record into the metadata block saved with each song
+ *
+ * Works on both full records from getSongById and search hits; fields a
+ * search hit lacks (album, credits, relationships) come out empty.
+ *
+ * @param {Object} song - Genius song record
+ * @returns {Object} { id, title, url, primaryArtist, featuredArtists, album, releaseDate, releaseYear, writers, producers, otherCredits, relationships, language }
+ */
+function normalizeSongMetadata(song) {
+  const names = (artists) => (artists || []).map(artist => artist.name);
+  const components = song.release_date_components || null;
+  
+  return {
+    id: song.id,
+    title: song.title,
+    url: song.url,
+    primaryArtist: song.primary_artist ? song.primary_artist.name : null,
+    featuredArtists: names(song.featured_artists),
+    album: song.album ? { id: song.album.id, name: song.album.name, url: song.album.url || null } : null,
+    releaseDate: song.release_date || null,
+    releaseYear: components && components.year ? components.year : song.release_date ? parseInt(song.release_date.slice(0, 4), 10) : null,
+    writers: names(song.writer_artists),
+    producers: names(song.producer_artists),
+    // Other credits ("Vocal Arranger", "Label"...) keyed by their label
+    otherCredits: (song.custom_performances || []).reduce((credits, performance) => {
+      credits[performance.label] = names(performance.artists);
+      return credits;
+    }, {}),
+    // Samples, covers, remixes and so on, leaving out relationship types with no songs
+    relationships: (song.song_relationships || [])
+      .filter(relationship => relationship.songs && relationship.songs.length > 0)
+      .map(relationship => ({
+        type: relationship.relationship_type || relationship.type,
+        songs: relationship.songs.map(related => ({
+          id: related.id,
+          title: related.title,
+          artist: related.primary_artist ? related.primary_artist.name : null
+        }))
+      })),
+    language: song.language || null
+  };
+}
+
+/**
+ * Search Genius for albums
+ *
+ * The public API only searches songs, so this uses the album search of the
+ * genius.com web API.
+ *
+ * @param {string} artist - The artist name
+ * @param {string} albumName - The album name
+ * @returns {Promise<Array>} Album search results ({ id, name, artist, release_date_components, url })
+ */
+async function searchGeniusAlbums(artist, albumName) {
+  const query = encodeURIComponent(`${albumName} ${artist}`);
+  const response = await requestGeniusAPI(`/api/search/album?q=${query}`, null, 'genius.com');
+  const sections = response.response && response.response.sections ? response.response.sections : [];
+  const albumSection = sections.find(section => section.type === 'album');
+  
+  return albumSection ? albumSection.hits.map(hit => hit.result) : [];
+}
+
+/**
+ * Default settings for picking the best Genius album (also the apis.genius.albumSearch default in the configuration)
+ * - minScore: the best album must score at least this to be used
+ */
+const DEFAULT_ALBUM_MATCH_OPTIONS = {
+  minScore: 0.7
+};
+
+/**
+ * Pick the Genius album that best matches the requested album
+ * @param {Array} albums - Albums from searchGeniusAlbums
+ * @param {string} artist - Requested artist
+ * @param {string} albumName - Requested album name
+ * @param {Object} options - Match options (see DEFAULT_ALBUM_MATCH_OPTIONS)
+ * @returns {Object|null} { album, score } with score from 0 to 1 (name 60%, artist 40%), or null without albums
+ * @throws {Error} If even the best album scores below minScore
+ */
+function selectBestAlbum(albums, artist, albumName, options = {}) {
+  const { minScore = DEFAULT_ALBUM_MATCH_OPTIONS.minScore } = options;
+  let best = null;
+  
+  albums.forEach(album => {
+    const nameScore = similarity(normalizeTitle(albumName), normalizeTitle(album.name || ''));
+    const artistScore = similarity(normalizeTitle(artist), normalizeTitle(album.artist ? album.artist.name : ''));
+    const score = Math.round((0.6 * nameScore + 0.4 * artistScore) * 100) / 100;
+    
+    if (!best || score > best.score) {
+      best = { album, score };
+    }
+  });
+  
+  if (best && best.score < minScore) {
+    const albumArtist = best.album.artist ? best.album.artist.name : 'unknown artist';
+    throw new Error(`Best Genius album match "${best.album.name}" by ${albumArtist} only scored ${best.score} (minimum ${minScore}) for "${albumName}" by "${artist}"`);
+  }
+  
+  return best;
+}
+
+/**
+ * Get an album's tracklist from the Genius API
+ * @param {string|number} albumId - Genius album ID
+ * @param {string} accessToken - Genius API access token
+ * @returns {Promise<Array>} Tracks ({ number, song }) in album order
+ */
+async function getGeniusAlbumTracks(albumId, accessToken) {
+  const tracks = [];
+  let page = 1;
+  
+  while (page) {
+    const response = await requestGeniusAPI(`/albums/${albumId}/tracks?per_page=50&page=${page}`, accessToken);
+    if (!response.response || !response.response.tracks) {
+      throw new Error(`Genius album ${albumId} not found`);
+    }
+    
+    tracks.push(...response.response.tracks);
+    page = response.response.next_page || null;
+  }
+  
+  return tracks;
+}
+
+/**
+ * Search Genius for an album and return it with its tracklist
+ *
+ * Returns the same shape as MusicBrainz getAlbumData. Each song carries its
+ * Genius song record as geniusSong, so no per-track search is needed; track
+ * lengths are unknown.
+ *
+ * @param {string} artist - The artist name
+ * @param {string} albumName - The album name
+ * @param {string} accessToken - Genius API access token
+ * @param {Object} options - Album match options (see DEFAULT_ALBUM_MATCH_OPTIONS)
+ * @returns {Promise<Object>} { release: { id, title, date, url, source, matchScore }, songs, searchResultCount }
+ * @throws {Error} If no album is found, the best one scores too low or it has no tracks
+ */
+async function getGeniusAlbumData(artist, albumName, accessToken, options = {}) {
+  const albums = await searchGeniusAlbums(artist, albumName);
+  const best = selectBestAlbum(albums, artist, albumName, options);
+  
+  if (!best) {
+    throw new Error(`No Genius albums found for "${albumName}" by "${artist}"`);
+  }
+  
+  const { album } = best;
+  const tracks = await getGeniusAlbumTracks(album.id, accessToken);
+  if (tracks.length === 0) {
+    throw new Error(`Genius album "${album.name}" has no tracks`);
+  }
+  
+  const components = album.release_date_components;
+  return {
+    release: {
+      id: album.id,
+      title: album.name,
+      date: components ? [components.year, components.month, components.day].filter(Boolean).map(part => String(part).padStart(2, '0')).join('-') : null,
+      url: album.url,
+      source: 'genius',
+      matchScore: best.score
+    },
+    songs: tracks.map((track, index) => ({
+      artist,
+      title: track.song.title,
+      trackNumber: track.number || index + 1,
+      duration: null,
+      geniusSong: track.song
+    })),
+    searchResultCount: albums.length
+  };
+}
+
+/**
+ * Default settings for picking the best search hit (also the apis.genius.search default in the configuration)
+ * - minScore: hits scoring below this send the search on to the next page
+ * - maxPages: pages of search results to look through at most
+ */
+const DEFAULT_MATCH_OPTIONS = {
+  minScore: 0.7,
+  maxPages: 3
+};
+
+/**
+ * Genius accounts that publish translations and romanizations rather than the original lyrics
+ */
+const TRANSLATION_ARTIST_PATTERN = /^genius\b.*\b(translations?|romanizations?|traducciones|traductions|übersetzungen|traduções)\b/i;
+
+/**
+ * Words marking a different version of a song; hits carrying one that the
+ * requested title and album don't are penalised
+ */
+const VERSION_KEYWORDS = ['remix', 'mix', 'live', 'demo', 'acoustic', 'instrumental', 'edit', 'version', 'karaoke', 'cover', 'a cappella', 'unplugged', 'extended'];
+
+/**
+ * Normalise a song title or artist name for comparison
+ * @param {string} text - Title or name
+ * @returns {string} Lowercased text without accents, featured artists or punctuation
+ */
+function normalizeTitle(text) {
+  return decodeEntities(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[(\[]\s*(feat|ft|featuring|with)\.?\s[^)\]]*[)\]]/g, '') // "(feat. X)"
+    .replace(/\s(feat|ft|featuring)\.?\s.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compare two normalised strings by their shared letter pairs (Dice coefficient)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (identical)
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  
+  const pairs = (text) => {
+    const counts = {};
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      counts[pair] = (counts[pair] || 0) + 1;
+    }
+    return counts;
+  };
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  let shared = 0;
+  Object.entries(pairsA).forEach(([pair, count]) => {
+    shared += Math.min(count, pairsB[pair] || 0);
+  });
+  
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Score how well a Genius search hit matches the requested song
+ *
+ * The title counts for 60% and the primary artist for 40%. Translation and
+ * romanization pages, and remixes, live versions and other versions the
+ * request didn't ask for, are penalised. Version words in the album name
+ * count as asked for, so a live album prefers live recordings.
+ *
+ * @param {Object} hit - Song from searchSong
+ * @param {string} artist - Requested artist
+ * @param {string} title - Requested song title
+ * @param {string} albumName - Optional album the song appears on
+ * @returns {Object} { score, title, artist, penalties } with score from 0 to 1
+ */
+function scoreSearchHit(hit, artist, title, albumName = '') {
+  // Bracketed parts ("(Live)", "[Radio Edit]") are left to the version check
+  const baseTitle = (text) => normalizeTitle(text.replace(/[([][^)\]]*[)\]]/g, ' ')) || normalizeTitle(text);
+  const wantedTitle = normalizeTitle(title);
+  const hitTitle = normalizeTitle(hit.title || '');
+  const wantedArtist = normalizeTitle(artist);
+  const primaryArtist = normalizeTitle(hit.primary_artist ? hit.primary_artist.name : '');
+  const penalties = [];
+  
+  const titleScore = similarity(baseTitle(title), baseTitle(hit.title || ''));
+  
+  let artistScore = similarity(wantedArtist, primaryArtist);
+  if (artistScore < 1 && primaryArtist && (primaryArtist.includes(wantedArtist) || wantedArtist.includes(primaryArtist))) {
+    artistScore = Math.max(artistScore, 0.8);
+  }
+  if (artistScore < 0.5 && normalizeTitle(hit.artist_names || '').includes(wantedArtist)) {
+    artistScore = 0.5; // Credited as a featured artist only
+  }
+  
+  const primaryArtistName = hit.primary_artist ? hit.primary_artist.name : '';
+  if (TRANSLATION_ARTIST_PATTERN.test(primaryArtistName) || /\b(translation|romanized|romanization)\b/i.test(hit.title || '')) {
+    penalties.push('translation');
+  }
+  
+  const requested = `${wantedTitle} ${normalizeTitle(albumName)}`;
+  VERSION_KEYWORDS.forEach(keyword => {
+    const pattern = new RegExp(`\\b${keyword}\\b`);
+    if (pattern.test(hitTitle) && !pattern.test(requested)) {
+      penalties.push(keyword);
+    }
+  });
+  
+  const score = 0.6 * titleScore + 0.4 * artistScore
+    - (penalties.includes('translation') ? 0.5 : 0)
+    - (penalties.some(penalty => penalty !== 'translation') ? 0.4 : 0);
+  
+  return {
+    score: Math.round(Math.max(0, score) * 100) / 100,
+    title: Math.round(titleScore * 100) / 100,
+    artist: Math.round(artistScore * 100) / 100,
+    penalties
+  };
+}
+
+/**
+ * Search Genius and pick the hit that best matches the requested song
+ *
+ * Further pages of results are searched while the best hit scores below
+ * minScore, up to maxPages pages.
+ *
+ * @param {string} artist - The artist name
+ * @param {string} songTitle - The song title
+ * @param {string} accessToken - Genius API access token
+ * @param {Object} options - Match options (see DEFAULT_MATCH_OPTIONS)
+ * @param {string} options.albumName - Album the song appears on, used to judge versions
+ * @returns {Promise<Object|null>} { song, match: { source, score, title, artist, penalties, page, candidates } }, or null without any hits
+ */
+async function findBestMatch(artist, songTitle, accessToken, options = {}) {
+  const { albumName = '', minScore = DEFAULT_MATCH_OPTIONS.minScore, maxPages = DEFAULT_MATCH_OPTIONS.maxPages } = options;
+  let best = null;
+  let candidates = 0;
+  
+  for (let page = 1; page <= maxPages; page++) {
+    const hits = await searchSong(artist, songTitle, accessToken, '', { page });
+    if (hits.length === 0) break;
+    
+    hits.forEach(hit => {
+      const scored = scoreSearchHit(hit, artist, songTitle, albumName);
+      if (!best || scored.score > best.match.score) {
+        best = { song: hit, match: { source: 'search', ...scored, page } };
+      }
+    });
+    candidates += hits.length;
+    
+    if (best.match.score >= minScore) break;
+  }
+  
+  if (best) {
+    best.match.candidates = candidates;
+  }
+  return best;
+}
+
 /**
  * Fetch HTML content from Genius page with proper decompression
  * @param {string} url - The URL to fetch
@@ -105,79 +561,380 @@ function fetchPageHTML(url) {
   });
 }
 
+/**
+ * Decode the body of a single-quoted JavaScript string literal
+ * @param {string} literal - Literal text between the quotes
+ * @returns {string} Decoded string
+ */
+function decodeJsStringLiteral(literal) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+  
+  return literal.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[\s\S])/g, (match, escape) => {
+    if (escape.length > 1) return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return escapes[escape] !== undefined ? escapes[escape] : escape;
+  });
+}
+
+/**
+ * Read the preloaded-state JSON embedded in a Genius page
+ * @param {string} htmlContent - The HTML content from Genius page
+ * @returns {Object|null} Parsed state, or null if the page has none or it can't be parsed
+ */
+function parsePreloadedState(htmlContent) {
+  const match = htmlContent.match(/window\.__PRELOADED_STATE__\s*=\s*JSON\.parse\('((?:[^'\\]|\\[\s\S])*)'\)/);
+  if (!match) return null;
+  
+  try {
+    return JSON.parse(decodeJsStringLiteral(match[1]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ways of finding the lyrics in a Genius page, tried in order
+ *
+ * Each strategy returns the HTML fragments holding the lyrics, or an empty
+ * array if it finds nothing. Page redesigns usually break one of them, not all.
+ */
+const LYRICS_EXTRACTION_STRATEGIES = [
+  {
+    name: 'container',
+    extract: ($) => $('div[class^="Lyrics__Container"]').toArray().map(container => $.html(container))
+  },
+  {
+    name: 'data-lyrics-container',
+    extract: ($) => $('[data-lyrics-container="true"]').toArray().map(container => $.html(container))
+  },
+  {
+    name: 'preloaded-state',
+    extract: ($, htmlContent) => {
+      const state = parsePreloadedState(htmlContent);
+      const lyricsData = state && state.songPage && state.songPage.lyricsData;
+      const html = lyricsData && lyricsData.body && lyricsData.body.html;
+      return html ? [html] : [];
+    }
+  }
+];
+
 /**
  * Extract lyrics from Genius page HTML
  * @param {string} htmlContent - The HTML content from Genius page
- * @returns {Object} Extracted lyrics data
+ * @returns {Object} Extracted lyrics data ({ rawHTML, containerCount, strategy })
+ * @throws {Error} If no strategy finds any lyrics
  */
 function extractLyricsFromHTML(htmlContent) {
   const $ = cheerio.load(htmlContent);
   
   // Remove elements that should be excluded from selection
-  $('div[class^="Lyrics__Container"] [data-exclude-from-selection="true"]').remove();
-  
-  // Find lyrics containers
-  const lyricsContainers = $('div[class^="Lyrics__Container"]');
+  $('[data-exclude-from-selection="true"]').remove();
   
-  console.log(`Found ${lyricsContainers.length} lyrics container(s)`);
+  for (const strategy of LYRICS_EXTRACTION_STRATEGIES) {
+    const containers = strategy.extract($, htmlContent);
+    
+    if (containers.length > 0) {
+      return {
+        rawHTML: containers.map(container => container + '\n\n').join(''),
+        containerCount: containers.length,
+        strategy: strategy.name
+      };
+    }
+  }
   
-  if (lyricsContainers.length === 0) {
-    throw new Error('No lyrics containers found');
+  throw new Error(`No lyrics found (tried: ${LYRICS_EXTRACTION_STRATEGIES.map(strategy => strategy.name).join(', ')})`);
+}
+
+/**
+ * Page furniture Genius leaves inside lyrics containers
+ * - lines:   whole lines removed wherever they appear
+ * - heading: lines removed only from the heading above the first lyric
+ * - inline:  text cut out of the lyric line it is stuck to
+ */
+const FURNITURE_PATTERNS = {
+  lines: [
+    /^\d+\s*Contributors?\b.*\bLyrics$/i,  // "12 ContributorsTranslationsEspañolI Want It That Way Lyrics"
+    /^\d+\s*Contributors?$/i,
+    /^\d*\s*Embed$/i,
+    /^You might also like$/i,
+    /^See .+ Live\s*Get tickets as low as \$\d+$/i
+  ],
+  heading: [
+    /^Translations$/i,
+    /^.+ Lyrics$/
+  ],
+  inline: [
+    /(?<=\S)You might also like|You might also like(?=\S)/g,
+    /(?<=\S)\d*Embed$/
+  ]
+};
+
+/**
+ * Language names listed in Genius translation menus
+ */
+const TRANSLATION_LANGUAGES = [
+  'English', 'Español', 'Português', 'Français', 'Deutsch', 'Italiano', 'Nederlands', 'Polski', 'Türkçe',
+  'Svenska', 'Dansk', 'Norsk', 'Suomi', 'Română', 'Magyar', 'Česky', 'Slovenčina', 'Hrvatski', 'Srpski',
+  'Bosanski', 'Català', 'Azərbaycanca', 'Tagalog', 'Bahasa Indonesia', 'Tiếng Việt', 'Русский', 'Українська',
+  'Ελληνικά', 'עברית', 'العربية', 'فارسی', 'ไทย', '日本語', '한국어', '简体中文', '繁體中文'
+];
+
+const TRANSLATION_LANGUAGE_PATTERN = new RegExp(`^(${TRANSLATION_LANGUAGES.join('|')})(\\s*\\([^)]*\\))?$`, 'i');
+
+/**
+ * Remove Genius page furniture from cleaned lyrics
+ *
+ * Contributor counts, "Embed", "You might also like" and ticket adverts go
+ * wherever they appear. The song title heading and translation menu only go
+ * from the lines above the first lyric, where they can't be mistaken for one.
+ *
+ * @param {string} content - Cleaned lyrics from cleanLyricsHTML
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.strip - Whether to remove furniture at all (default true)
+ * @param {Array} options.extraPatterns - Further whole-line patterns (regex strings, matched case-insensitively)
+ * @returns {Object} { content, removed } where removed lists every line or fragment taken out
+ */
+function stripPageFurniture(content, options = {}) {
+  const { strip = true, extraPatterns = [] } = options;
+  if (!strip) {
+    return { content, removed: [] };
   }
   
-  // Extract all containers and combine them
-  let allContainers = '';
-  lyricsContainers.each((index, container) => {
-    allContainers += $.html(container) + '\n\n';
+  const linePatterns = [...FURNITURE_PATTERNS.lines, ...extraPatterns.map(pattern => new RegExp(pattern, 'i'))];
+  const removed = [];
+  const kept = [];
+  let inHeading = true;
+  let inTranslationMenu = false;
+  
+  content.split('\n').forEach(line => {
+    const text = line.replace(/<[^>]*>/g, '').trim();
+    
+    if (text && linePatterns.some(pattern => pattern.test(text))) {
+      removed.push(line);
+      return;
+    }
+    
+    if (inHeading && text) {
+      if (/^Translations$/i.test(text)) inTranslationMenu = true;
+      
+      if (FURNITURE_PATTERNS.heading.some(pattern => pattern.test(text)) ||
+        (inTranslationMenu && TRANSLATION_LANGUAGE_PATTERN.test(text))) {
+        removed.push(line);
+        return;
+      }
+      inHeading = false;
+    }
+    
+    kept.push(FURNITURE_PATTERNS.inline.reduce((result, pattern) => result.replace(pattern, match => {
+      removed.push(match);
+      return '';
+    }), line));
   });
   
   return {
-    rawHTML: allContainers,
-    containerCount: lyricsContainers.length
+    content: kept.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    removed
   };
 }
 
 /**
- * Removes all non-formatting HTML tags while preserving formatting tags and their content
- * @param {string} html - HTML content to clean
- * @returns {string} Cleaned HTML with only formatting tags
- */
-function removeNonFormattingTags(html) {
-  // List of formatting tags to preserve
-  const formattingTags = [
-    'b', 'strong', 'i', 'em', 'u', 'ins', 'del', 's', 'strike', 
-    'sup', 'sub', 'mark', 'small', 'big', 'code', 'kbd', 'samp', 
-    'var', 'abbr', 'acronym', 'cite', 'dfn', 'q', 'blockquote', 
-    'pre', 'tt', 'br', 'hr', 'wbr'
-  ];
-  
-  // Remove all tags except formatting ones, but keep the content
-  return html.replace(/<\/?([a-zA-Z][a-zA-Z0-9]*)[^>]*>/g, (match, tagName) => {
-    if (formattingTags.includes(tagName.toLowerCase())) {
-      return match; // Keep formatting tags
-    }
-    return ''; // Remove non-formatting tags but content remains
-  });
+ * What a lyrics page turned out to hold
+ * - ok:           lyrics were found
+ * - instrumental: the song has no lyrics to find
+ * - unreleased:   Genius is waiting for the song's release before adding lyrics
+ * - empty:        the page has no lyrics for any other reason
+ * - blocked:      Genius served a bot check or error page instead of the song
+ */
+const PAGE_STATUSES = ['ok', 'instrumental', 'unreleased', 'empty', 'blocked'];
+
+const PAGE_STATUS_MESSAGES = {
+  instrumental: 'Song is an instrumental',
+  unreleased: 'Lyrics have not been released yet',
+  empty: 'No lyrics found on the page',
+  blocked: 'Genius blocked the lyrics page request'
+};
+
+const INSTRUMENTAL_PATTERN = /This song is an instrumental|lyricsPlaceholderReason\\?"\s*:\s*\\?"instrumental/i;
+const UNRELEASED_PATTERN = /Lyrics for this song have yet to be released|lyricsPlaceholderReason\\?"\s*:\s*\\?"unreleased/i;
+const BLOCKED_PATTERN = /<title>\s*(Just a moment|Attention Required|Access denied)|cf-browser-verification|challenge-platform|captcha/i;
+
+/**
+ * Sort a lyrics page into one of PAGE_STATUSES and extract its lyrics
+ *
+ * Lyrics on the page win over everything else. Without them, Genius's own
+ * placeholders (and the song record's instrumental flag and lyrics_state, if
+ * given) tell instrumental and unreleased songs apart from pages that are
+ * empty or were blocked.
+ *
+ * @param {string} htmlContent - The HTML content from Genius page
+ * @param {Object|null} song - Genius song record, if known
+ * @param {Object} furnitureOptions - Options passed to stripPageFurniture
+ * @returns {Object} { status, extracted, rawContent, cleanedContent, removedFurniture } where rawContent is the
+ *   text before furniture was stripped; extracted and both texts are null unless some lyrics container was found
+ */
+function classifyLyricsPage(htmlContent, song = null, furnitureOptions = {}) {
+  let extracted = null;
+  let rawContent = null;
+  let cleanedContent = null;
+  let removedFurniture = [];
+  
+  try {
+    extracted = extractLyricsFromHTML(htmlContent);
+    rawContent = cleanLyricsHTML(extracted.rawHTML);
+    ({ content: cleanedContent, removed: removedFurniture } = stripPageFurniture(rawContent, furnitureOptions));
+  } catch (error) {
+    // Nothing extracted; the page markers below decide why
+  }
+  
+  const lines = (cleanedContent || '')
+    .split('\n')
+    .map(line => line.replace(/<[^>]*>/g, '').trim())
+    .filter(line => line.length > 0);
+  const hasLyrics = lines.some(line => !/^\[[^\]]*\]$/.test(line));
+  
+  let status;
+  if (hasLyrics) {
+    status = 'ok';
+  } else if ((song && song.instrumental) || INSTRUMENTAL_PATTERN.test(htmlContent) || lines.some(line => /instrumental/i.test(line))) {
+    status = 'instrumental';
+  } else if ((song && song.lyrics_state === 'unreleased') || UNRELEASED_PATTERN.test(htmlContent)) {
+    status = 'unreleased';
+  } else if (!extracted && BLOCKED_PATTERN.test(htmlContent)) {
+    status = 'blocked';
+  } else {
+    status = 'empty';
+  }
+  
+  return { status, extracted, rawContent, cleanedContent, removedFurniture };
+}
+
+/**
+ * Formatting tags preserved in cleaned lyrics
+ */
+const FORMATTING_TAGS = [
+  'b', 'strong', 'i', 'em', 'u', 'ins', 'del', 's', 'strike',
+  'sup', 'sub', 'mark', 'small', 'big', 'code', 'kbd', 'samp',
+  'var', 'abbr', 'acronym', 'cite', 'dfn', 'q', 'blockquote',
+  'pre', 'tt', 'br', 'hr', 'wbr'
+];
+
+/**
+ * Elements that start a new line before and after their content
+ */
+const BLOCK_TAGS = ['div', 'p', 'blockquote', 'pre', 'hr', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Escape text so it can sit between formatting tags
+ * @param {string} text - Decoded text
+ * @returns {string} Text with &, < and > escaped
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
 }
 
 /**
- * Clean HTML content and convert to plain text
+ * Clean HTML content and convert to lines of text with formatting tags
+ *
+ * Walks the DOM rather than the markup, so every line is emitted with the
+ * complete stack of formatting that applies to it: tags spanning several
+ * lines are closed at the end of each line and reopened on the next, and
+ * <br> variants, annotation links and other wrappers don't matter.
+ *
  * @param {string} html - HTML content to clean
- * @returns {string} Cleaned plain text
+ * @returns {string} Cleaned text, one lyric line per line
  */
 function cleanLyricsHTML(html) {
-  const cleanedContent = removeNonFormattingTags(html);
+  const $ = cheerio.load(html, null, false);
+  const lines = [];
+  const stack = [];
+  let current = '';
+  
+  const openTags = () => stack.map(tag => `<${tag}>`).join('');
+  const closeTags = () => [...stack].reverse().map(tag => `</${tag}>`).join('');
+  
+  const breakLine = () => {
+    lines.push(current + closeTags());
+    current = openTags();
+  };
+  
+  const walk = (nodes) => {
+    nodes.forEach(node => {
+      if (node.type === 'text') {
+        current += escapeText(node.data.replace(/\s+/g, ' '));
+        return;
+      }
+      
+      if (node.type !== 'tag') return;
+      
+      const tagName = node.name.toLowerCase();
+      if (tagName === 'br') {
+        breakLine();
+        return;
+      }
+      
+      const isBlock = BLOCK_TAGS.includes(tagName);
+      const isFormatting = FORMATTING_TAGS.includes(tagName) && !isBlock;
+      
+      if (isBlock) breakLine();
+      if (isFormatting) {
+        current += `<${tagName}>`;
+        stack.push(tagName);
+      }
+      
+      walk(node.children || []);
+      
+      if (isFormatting) {
+        stack.pop();
+        current += `</${tagName}>`;
+      }
+      if (isBlock) breakLine();
+    });
+  };
+  
+  walk($.root().contents().toArray());
+  lines.push(current);
   
-  // Replace <br> tags with actual line breaks and clean up whitespace
-  return cleanedContent
-    .replace(/<br>/g, '\n') // Replace <br> tags with line breaks
+  return lines
+    .map(line => {
+      // Drop formatting that wraps nothing on this line
+      let previous;
+      do {
+        previous = line;
+        line = line.replace(/<([a-z0-9]+)>(\s*)<\/\1>/g, '$2');
+      } while (line !== previous);
+      return line.replace(/\s+/g, ' ').trim();
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
     .trim();
 }
 
 module.exports = {
+  DEFAULT_MATCH_OPTIONS,
+  DEFAULT_ALBUM_MATCH_OPTIONS,
   searchSong,
+  getSongById,
+  getSongReferents,
+  parseGeniusUrl,
+  extractSongIdFromHTML,
+  fetchSongByReference,
+  normalizeSongMetadata,
+  searchGeniusAlbums,
+  selectBestAlbum,
+  getGeniusAlbumTracks,
+  getGeniusAlbumData,
+  normalizeTitle,
+  scoreSearchHit,
+  findBestMatch,
   fetchPageHTML,
+  LYRICS_EXTRACTION_STRATEGIES,
+  parsePreloadedState,
   extractLyricsFromHTML,
-  removeNonFormattingTags,
+  PAGE_STATUSES,
+  PAGE_STATUS_MESSAGES,
+  classifyLyricsPage,
+  stripPageFurniture,
   cleanLyricsHTML
 };
\ No newline at end of file
@@ -50,7 +50,7 @@ async function searchAlbum(artistName, albumName) {
   console.log(`\nSearching for album: "${albumName}" by "${artistName}"`);
   
   const query = encodeURIComponent(`artist:"${artistName}" AND release:"${albumName}"`);
-  const path = `/ws/2/release/?query=${query}&inc=recordings&fmt=json&limit=10`;
+  const path = `/ws/2/release/?query=${query}&inc=recordings&fmt=json&limit=25`;
   
   console.log(`API URL: https://musicbrainz.org${path}`);
   
@@ -111,10 +111,162 @@ function extractSongList(release, artistName) {
   return songs;
 }
 
+/**
+ * Default release preferences (also the processing.album.releasePreferences default in the configuration)
+ * - countries: preferred release countries (ISO codes; "XW" is worldwide), best first
+ * - formats:   preferred medium formats, best first
+ * - weights:   points each factor can add to a release's score
+ */
+const DEFAULT_RELEASE_PREFERENCES = {
+  countries: ['US', 'XW'],
+  formats: ['CD', 'Digital Media'],
+  weights: {
+    title: 20,
+    status: 40,
+    date: 20,
+    country: 15,
+    format: 10,
+    trackCount: 10
+  }
+};
+
+/**
+ * Points (as a share of the status weight) for each release status
+ */
+const RELEASE_STATUS_SCORES = {
+  official: 1,
+  promotion: 0.25,
+  'pseudo-release': 0,
+  bootleg: -0.5
+};
+
+/**
+ * Reduce a release title to what decides whether it is the album asked for
+ * @param {string} title - Release title
+ * @returns {string} Lowercased letters, numbers and single spaces
+ */
+function normalizeReleaseTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score one release against the other candidates
+ *
+ * Every factor adds up to its weight: an exact title, Official status
+ * (Promotion scores a quarter, Bootleg loses half), the earliest release
+ * date (losing a fifth per year later), a preferred country (earlier in the
+ * list scores more), preferred formats on every medium, and the track count
+ * most candidates share (the standard edition).
+ *
+ * @param {Object} release - MusicBrainz release from a search
+ * @param {Object} context - { albumName, earliestYear, commonTrackCount } worked out from all candidates
+ * @param {Object} preferences - Release preferences (see DEFAULT_RELEASE_PREFERENCES)
+ * @returns {Object} { score, reasons } where reasons explain every non-zero factor
+ */
+function scoreRelease(release, context, preferences = DEFAULT_RELEASE_PREFERENCES) {
+  const weights = { ...DEFAULT_RELEASE_PREFERENCES.weights, ...preferences.weights };
+  const countries = preferences.countries || [];
+  const formats = (preferences.formats || []).map(format => format.toLowerCase());
+  const reasons = [];
+  let score = 0;
+  
+  const add = (points, reason) => {
+    const rounded = Math.round(points * 10) / 10;
+    if (rounded === 0) return;
+    score += rounded;
+    reasons.push(`${reason} (${rounded > 0 ? '+' : ''}${rounded})`);
+  };
+  
+  if (context.albumName && normalizeReleaseTitle(release.title) === normalizeReleaseTitle(context.albumName)) {
+    add(weights.title, 'title matches');
+  }
+  
+  const status = (release.status || '').toLowerCase();
+  if (status in RELEASE_STATUS_SCORES) {
+    add(weights.status * RELEASE_STATUS_SCORES[status], release.status);
+  }
+  
+  const year = release.date ? parseInt(release.date.slice(0, 4), 10) : NaN;
+  if (!isNaN(year) && context.earliestYear) {
+    const yearsLater = year - context.earliestYear;
+    add(weights.date * Math.max(0, 1 - yearsLater / 5), yearsLater === 0 ? `earliest date ${release.date}` : `released ${release.date}, ${yearsLater} year(s) after the first`);
+  }
+  
+  const countryRank = countries.indexOf(release.country);
+  if (countryRank !== -1) {
+    add(weights.country * (1 - countryRank / (countries.length + 1)), `preferred country ${release.country}`);
+  }
+  
+  const mediaFormats = (release.media || []).map(medium => medium.format).filter(Boolean);
+  if (mediaFormats.length > 0) {
+    const ranks = mediaFormats.map(format => formats.indexOf(format.toLowerCase()));
+    if (ranks.every(rank => rank !== -1)) {
+      add(weights.format * (1 - Math.max(...ranks) / (formats.length + 1)), `format ${[...new Set(mediaFormats)].join(' + ')}`);
+    }
+  }
+  
+  if (context.commonTrackCount && release['track-count'] === context.commonTrackCount) {
+    add(weights.trackCount, `${release['track-count']} tracks, the usual count`);
+  }
+  
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Rank releases from a search, best first
+ * @param {Array} releases - Array of release objects
+ * @param {Object} options - { albumName, preferences }
+ * @returns {Array} Array of { release, score, reasons }; ties keep the search order
+ */
+function rankReleases(releases, options = {}) {
+  const { albumName = '', preferences = DEFAULT_RELEASE_PREFERENCES } = options;
+  
+  const years = releases
+    .map(release => release.date ? parseInt(release.date.slice(0, 4), 10) : NaN)
+    .filter(year => !isNaN(year));
+  
+  const trackCounts = {};
+  releases.forEach(release => {
+    if (release['track-count']) {
+      trackCounts[release['track-count']] = (trackCounts[release['track-count']] || 0) + 1;
+    }
+  });
+  const commonTrackCount = Object.keys(trackCounts).length > 0
+    ? parseInt(Object.entries(trackCounts).sort(([, a], [, b]) => b - a)[0][0], 10)
+    : null;
+  
+  const context = {
+    albumName,
+    earliestYear: years.length > 0 ? Math.min(...years) : null,
+    commonTrackCount
+  };
+  
+  return releases
+    .map(release => ({ release, ...scoreRelease(release, context, preferences) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick an entry from a release ranking
+ * @param {Array} ranking - Ranking from rankReleases (best first)
+ * @param {number} selectIndex - Position to pick; out-of-range positions fall back to the best
+ * @returns {Object|null} Ranking entry ({ release, score, reasons }), or null for an empty ranking
+ */
+function pickRankedRelease(ranking, selectIndex = 0) {
+  return ranking[selectIndex] || ranking[0] || null;
+}
+
 /**
  * Get the best release from search results
  * @param {Array} releases - Array of release objects
  * @param {Object} options - Selection criteria
+ * @param {number} options.selectIndex - Position in the ranking to pick instead of the best (0)
+ * @param {string} options.albumName - Album name asked for
+ * @param {Object} options.preferences - Release preferences (see DEFAULT_RELEASE_PREFERENCES)
  * @returns {Object|null} Best matching release
  */
 function selectBestRelease(releases, options = {}) {
@@ -122,52 +274,83 @@ function selectBestRelease(releases, options = {}) {
     return null;
   }
   
-  // Default selection index
-  const { selectIndex = 0 } = options;
+  return pickRankedRelease(rankReleases(releases, options), options.selectIndex).release;
+}
+
+/**
+ * Summarise a release for listing
+ * @param {Object} release - MusicBrainz release from a search
+ * @returns {Object} { id, title, date, country, status, format, trackCount } with null for unknown values
+ */
+function summarizeRelease(release) {
+  const formats = [...new Set((release.media || []).map(medium => medium.format).filter(Boolean))];
   
-  // For now, just return the specified index (default first)
-  // TODO: Add more sophisticated selection logic based on:
-  // - Country preference
-  // - Release status (Official > Promotion > etc.)
-  // - Packaging type
-  // - Date (earliest original release)
+  return {
+    id: release.id,
+    title: release.title,
+    date: release.date || null,
+    country: release.country || null,
+    status: release.status || null,
+    format: formats.length > 0 ? formats.join(' + ') : null,
+    trackCount: release['track-count'] || null
+  };
+}
+
+/**
+ * Search for an album's releases and rank them, best first
+ * @param {string} artistName - Name of the artist
+ * @param {string} albumName - Name of the album
+ * @param {Object} preferences - Release preferences (see DEFAULT_RELEASE_PREFERENCES)
+ * @returns {Promise<Array>} Ranking from rankReleases
+ * @throws {Error} If no releases are found
+ */
+async function findReleases(artistName, albumName, preferences = DEFAULT_RELEASE_PREFERENCES) {
+  const searchResult = await searchAlbum(artistName, albumName);
+  
+  if (!searchResult.releases || searchResult.releases.length === 0) {
+    throw new Error(`No releases found for "${albumName}" by "${artistName}"`);
+  }
   
-  return releases[selectIndex] || releases[0];
+  return rankReleases(searchResult.releases, { albumName, preferences });
 }
 
 /**
  * Search for album and return the best release with tracklist
  * @param {string} artistName - Name of the artist
  * @param {string} albumName - Name of the album
- * @param {Object} options - Search and selection options
- * @returns {Promise<Object>} Release with tracklist and song list
+ * @param {Object} options - Search and selection options ({ selectIndex, preferences, releaseId })
+ * @returns {Promise<Object>} Release with tracklist and song list, plus the release ranking and the selected entry
+ *   (both null when a releaseId skipped the search)
  */
 async function getAlbumData(artistName, albumName, options = {}) {
   try {
-    // Search for the album
-    const searchResult = await searchAlbum(artistName, albumName);
+    let ranking = null;
+    let selected = null;
+    let releaseId = options.releaseId;
     
-    if (!searchResult.releases || searchResult.releases.length === 0) {
-      throw new Error(`No releases found for "${albumName}" by "${artistName}"`);
+    // A known release ID skips the search; otherwise rank the releases and pick the best (or the one asked for)
+    if (!releaseId) {
+      ranking = await findReleases(artistName, albumName, options.preferences);
+      selected = pickRankedRelease(ranking, options.selectIndex);
+      releaseId = selected.release.id;
     }
     
-    // Select the best release
-    const selectedRelease = selectBestRelease(searchResult.releases, options);
+    // Get detailed tracklist
+    const releaseWithTracks = await getAlbumTracklist(releaseId);
     
-    if (!selectedRelease) {
-      throw new Error('No suitable release found');
+    if (releaseWithTracks.error) {
+      throw new Error(`MusicBrainz release ${releaseId}: ${releaseWithTracks.error}`);
     }
     
-    // Get detailed tracklist
-    const releaseWithTracks = await getAlbumTracklist(selectedRelease.id);
-    
     // Extract song list
     const songs = extractSongList(releaseWithTracks, artistName);
     
     return {
       release: releaseWithTracks,
       songs: songs,
-      searchResultCount: searchResult.releases.length
+      searchResultCount: ranking ? ranking.length : null,
+      ranking,
+      selected
     };
   } catch (error) {
     console.error('Error getting album data:', error.message);
@@ -180,6 +363,11 @@ module.exports = {
   searchAlbum,
   getAlbumTracklist,
   extractSongList,
+  DEFAULT_RELEASE_PREFERENCES,
+  scoreRelease,
+  rankReleases,
   selectBestRelease,
+  summarizeRelease,
+  findReleases,
   getAlbumData
 };
\ No newline at end of file
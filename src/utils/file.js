@@ -130,6 +130,7 @@ function createLyricsFilePaths(songInfo, outputDir) {
   
   return {
     cleaned: path.join(outputDir, `${baseFilename}_cleaned.txt`),
+    raw: path.join(outputDir, `${baseFilename}_raw.txt`),
     annotated: path.join(outputDir, `${baseFilename}_annotated.txt`),
     json: path.join(outputDir, `${baseFilename}_data.json`)
   };
@@ -152,6 +153,34 @@ function createAlbumFilePaths(artistName, albumName, outputDir) {
   };
 }
 
+/**
+ * Format a parsed lyric line for the annotated output
+ * @param {Object} item - Parsed lyric line from parseLyricsWithVocalists
+ * @returns {string} Annotated line, split per segment when several vocalists share it
+ */
+function formatAnnotatedLine(item) {
+  const segments = item.segments || [];
+  const vocalists = new Set(segments.map(segment => segment.vocalist));
+  
+  if (vocalists.size > 1) {
+    return segments.map(segment => `${segment.vocalist}: ${segment.text}`).join(' / ');
+  }
+  
+  return `${item.vocalist}: ${item.line}`;
+}
+
+/**
+ * Format the annotations that end on a parsed lyric line
+ * @param {Object} item - Parsed lyric line, with annotations from attachAnnotations
+ * @param {number} index - Index of the line in parsedLyrics
+ * @returns {Array} Indented annotation lines (multi-line annotations appear once, after their last line)
+ */
+function formatLineAnnotations(item, index) {
+  return (item.annotations || [])
+    .filter(annotation => annotation.lineRange[1] === index)
+    .flatMap(annotation => annotation.text.split('\n').filter(line => line.trim()).map(line => `    > ${line.trim()}`));
+}
+
 /**
  * Save lyrics data to files
  * @param {Object} lyricsData - Lyrics data to save
@@ -166,10 +195,22 @@ function saveLyricsData(lyricsData, filePaths) {
     writeFile(filePaths.cleaned, lyricsData.cleanedContent);
   }
   
+  // Save lyrics as extracted, before page furniture was stripped (--keep-raw)
+  if (lyricsData.rawContent) {
+    writeFile(filePaths.raw, lyricsData.rawContent);
+  }
+  
   // Save annotated lyrics
   if (lyricsData.parsedLyrics) {
+    // Repeat each section name above its first line so the annotated file keeps the song structure
     const annotatedContent = lyricsData.parsedLyrics
-      .map(item => `${item.vocalist}: ${item.line}`)
+      .map((item, index) => {
+        const previous = lyricsData.parsedLyrics[index - 1];
+        const startsSection = item.section &&
+          (!previous || !previous.section || previous.section.type !== item.section.type || previous.section.index !== item.section.index);
+        const annotatedLine = [formatAnnotatedLine(item), ...formatLineAnnotations(item, index)].join('\n');
+        return startsSection ? `${index > 0 ? '\n' : ''}[${item.section.name}]\n${annotatedLine}` : annotatedLine;
+      })
       .join('\n');
     writeFile(filePaths.annotated, annotatedContent);
   }
@@ -85,6 +85,8 @@ class TestRunner {
     } catch (error) {
       console.log(`💥 Failed to load test file: ${error.message}`);
       console.log(error.stack);
+      this.stats.failedSuites++;
+      this.stats.totalSuites++;
     }
     
     // Clean up globals
@@ -126,7 +128,7 @@ class TestRunner {
     console.log(`Test Suites: ${this.stats.passedSuites} passed, ${this.stats.failedSuites} failed, ${this.stats.totalSuites} total`);
     console.log(`Tests:       ${this.stats.passedTests} passed, ${this.stats.failedTests} failed, ${this.stats.totalTests} total`);
     
-    if (this.stats.failedTests > 0) {
+    if (this.stats.failedTests > 0 || this.stats.failedSuites > 0) {
       console.log('\n❌ Some tests failed');
       process.exit(1);
     } else {
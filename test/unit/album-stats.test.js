@@ -21,6 +21,26 @@ describe('Album Statistics Tests', () => {
       assert.strictEqual(result, 'Brian Littrell');
     });
     
+    it('should never pick the group bucket', () => {
+      const vocalistStats = {
+        'Group': { lines: 20, words: 80, isGroup: true },
+        'Nick Carter': { lines: 8, words: 32 }
+      };
+      
+      const result = findTopVocalistInSong(vocalistStats);
+      assert.strictEqual(result, 'Nick Carter');
+    });
+    
+    it('should rank vocalists by lead lines', () => {
+      const vocalistStats = {
+        'Nick Carter': { lines: 10, words: 40, roles: { lead: { lines: 3, words: 12 } } },
+        'Brian Littrell': { lines: 6, words: 24, roles: { lead: { lines: 6, words: 24 } } }
+      };
+      
+      const result = findTopVocalistInSong(vocalistStats);
+      assert.strictEqual(result, 'Brian Littrell');
+    });
+    
     it('should return null for empty stats', () => {
       const result = findTopVocalistInSong({});
       assert.strictEqual(result, null);
@@ -155,6 +175,249 @@ describe('Album Statistics Tests', () => {
       assert.deepStrictEqual(result.vocalistDistribution, {});
     });
     
+    it('should leave instrumental and unreleased songs out of the success rate', () => {
+      const result = aggregateAlbumStats([
+        ...mockSongResults,
+        { success: false, status: 'instrumental', title: 'Interlude', trackNumber: 4, error: 'Song is an instrumental' },
+        { success: false, status: 'unreleased', title: 'Bonus Track', trackNumber: 5, error: 'Lyrics have not been released yet' },
+        { success: false, status: 'blocked', title: 'Blocked Song', trackNumber: 6, error: 'Genius blocked the lyrics page request' }
+      ]);
+      
+      assert.strictEqual(result.totalSongs, 6);
+      assert.strictEqual(result.nonVocalSongs, 2);
+      assert.strictEqual(result.successRate, '50.0'); // 2 of the 4 songs with vocals
+      assert.deepStrictEqual(result.songBreakdown.map(song => song.status), ['success', 'success', 'failed', 'instrumental', 'unreleased', 'failed']);
+    });
+    
+    it('should name the matched Genius song without a primary artist', () => {
+      const result = aggregateAlbumStats([
+        { ...mockSongResults[0], songInfo: { title: 'Song One', primary_artist: { name: 'Test Artist' } }, match: { source: 'search', score: 0.9 } },
+        { ...mockSongResults[1], match: { source: 'album' } }
+      ]);
+      
+      assert.deepStrictEqual(result.songBreakdown.map(song => song.matchedTitle), ['Song One by Test Artist', 'Song Two by unknown artist']);
+    });
+    
+    it('should collect unmatched vocalists across songs', () => {
+      const result = aggregateAlbumStats([
+        { ...mockSongResults[0], unmatchedVocalists: ['Kev'] },
+        { ...mockSongResults[1], unmatchedVocalists: ['Kev', 'Brain'] }
+      ]);
+      
+      assert.deepStrictEqual(result.unmatchedVocalists, ['Kev', 'Brain']);
+    });
+    
+    it('should aggregate duet pairings across songs', () => {
+      const result = aggregateAlbumStats([
+        { ...mockSongResults[0], duetStats: { 'AJ & Brian': { lines: 2, words: 8 } } },
+        { ...mockSongResults[1], duetStats: { 'AJ & Brian': { lines: 1, words: 5 } } }
+      ]);
+      
+      assert.deepStrictEqual(result.duetDistribution, {
+        'AJ & Brian': { lines: 3, words: 13, songsAppeared: 2 }
+      });
+    });
+    
+    it('should aggregate lead lines and roles', () => {
+      const roles = (lead, backing) => ({
+        lead: { lines: lead, words: lead * 4 },
+        backing: { lines: backing, words: backing * 4 },
+        'ad-lib': { lines: 0, words: 0 },
+        spoken: { lines: 0, words: 0 }
+      });
+      const songs = [
+        {
+          success: true,
+          songInfo: { title: 'Song One' },
+          vocalistStats: {
+            totalLines: 10, totalWords: 40, totalLeadLines: 6, totalLeadWords: 24,
+            vocalistStats: {
+              'Nick Carter': { lines: 8, words: 32, roles: roles(2, 6), linesPercentage: '80.0', wordsPercentage: '80.0', leadLinesPercentage: '33.3' },
+              'Brian Littrell': { lines: 2, words: 8, roles: roles(4, 0), linesPercentage: '20.0', wordsPercentage: '20.0', leadLinesPercentage: '66.7' }
+            }
+          }
+        }
+      ];
+      
+      const result = aggregateAlbumStats(songs);
+      
+      assert.strictEqual(result.totalLeadLines, 6);
+      assert.strictEqual(result.vocalistDistribution['Nick Carter'].leadLines, 2);
+      assert.strictEqual(result.vocalistDistribution['Nick Carter'].leadLinesPercentage, '33.3');
+      assert.strictEqual(result.vocalistDistribution['Nick Carter'].roles.backing.lines, 6);
+      assert.strictEqual(result.roleTotals.backing.lines, 6);
+      assert.strictEqual(result.topVocalist, 'Brian Littrell');
+    });
+    
+    it('should aggregate section statistics and openers', () => {
+      const songs = [
+        {
+          success: true,
+          songInfo: { title: 'Song One' },
+          vocalistStats: { totalLines: 4, totalWords: 16, vocalistStats: { 'Nick Carter': { lines: 4, words: 16 } } },
+          sectionStats: { chorus: { sections: 2, vocalists: { 'Nick Carter': { sections: 2, lines: 4, words: 16 } } } },
+          openingVocalists: ['Nick Carter']
+        },
+        {
+          success: true,
+          songInfo: { title: 'Song Two' },
+          vocalistStats: { totalLines: 2, totalWords: 8, vocalistStats: { 'Nick Carter': { lines: 2, words: 8 } } },
+          sectionStats: { chorus: { sections: 1, vocalists: { 'Nick Carter': { sections: 1, lines: 2, words: 8 } } } },
+          openingVocalists: ['Nick Carter']
+        }
+      ];
+      
+      const result = aggregateAlbumStats(songs);
+      
+      assert.strictEqual(result.sectionDistribution.chorus.sections, 3);
+      assert.strictEqual(result.sectionDistribution.chorus.songsAppeared, 2);
+      assert.deepStrictEqual(result.sectionDistribution.chorus.vocalists['Nick Carter'], { sections: 3, lines: 6, words: 24 });
+      assert.deepStrictEqual(result.openers, { 'Nick Carter': 2 });
+      assert.deepStrictEqual(result.songBreakdown[0].openingVocalists, ['Nick Carter']);
+    });
+    
+    it('should summarize parser diagnostics', () => {
+      const diagnostics = (low, warnings) => ({
+        confidence: { high: 4, medium: 0, low },
+        lines: [],
+        warnings: Array.from({ length: warnings }, () => ({ type: 'unmatched-format', lineNumber: 1, message: '' }))
+      });
+      const songs = [
+        {
+          success: true,
+          songInfo: { title: 'Song One' },
+          vocalistStats: { totalLines: 4, totalWords: 16, vocalistStats: { 'Nick Carter': { lines: 4, words: 16 } } },
+          diagnostics: diagnostics(0, 0)
+        },
+        {
+          success: true,
+          songInfo: { title: 'Song Two' },
+          vocalistStats: { totalLines: 4, totalWords: 16, vocalistStats: { 'Nick Carter': { lines: 4, words: 16 } } },
+          diagnostics: diagnostics(2, 1)
+        }
+      ];
+      
+      const result = aggregateAlbumStats(songs);
+      
+      assert.deepStrictEqual(result.diagnostics.confidence, { high: 8, medium: 0, low: 2 });
+      assert.strictEqual(result.diagnostics.warnings, 1);
+      assert.deepStrictEqual(result.diagnostics.songs, [{ title: 'Song Two', lowConfidenceLines: 2, warnings: 1 }]);
+      assert.strictEqual(result.songBreakdown[1].lowConfidenceLines, 2);
+    });
+    
+    it('should rank the top vocalist by the chosen share metric', () => {
+      const songs = [
+        {
+          success: true,
+          songInfo: { title: 'Song One' },
+          vocalistStats: {
+            totalLines: 4, totalWords: 12, totalSyllables: 30,
+            vocalistStats: {
+              'Nick Carter': { lines: 3, words: 6, syllables: 8, sharePercentage: '26.7' },
+              'Brian Littrell': { lines: 1, words: 6, syllables: 22, sharePercentage: '73.3' }
+            }
+          }
+        }
+      ];
+      
+      const byLines = aggregateAlbumStats(songs);
+      const bySyllables = aggregateAlbumStats(songs, { shareMetric: 'syllables' });
+      
+      assert.strictEqual(byLines.topVocalist, 'Nick Carter');
+      assert.strictEqual(bySyllables.topVocalist, 'Brian Littrell');
+      assert.strictEqual(bySyllables.totalSyllables, 30);
+      assert.strictEqual(bySyllables.vocalistDistribution['Brian Littrell'].leadSyllables, 22);
+      assert.strictEqual(bySyllables.vocalistDistribution['Brian Littrell'].sharePercentage, '73.3');
+      assert.strictEqual(bySyllables.songBreakdown[0].topVocalist, 'Brian Littrell');
+    });
+    
+    it('should aggregate unique and repeated lines', () => {
+      const unique = { lines: 1, words: 3, syllables: 3, roles: { lead: { lines: 1, words: 3, syllables: 3 } } };
+      const songs = ['Song One', 'Song Two'].map(title => ({
+        success: true,
+        songInfo: { title },
+        vocalistStats: {
+          totalLines: 3, totalWords: 9, totalLeadLines: 3, totalRepeatedLines: 2,
+          vocalistStats: {
+            'Nick Carter': {
+              lines: 3, words: 9, syllables: 9,
+              roles: { lead: { lines: 3, words: 9, syllables: 9 } },
+              unique, repeatedLines: 2, repetitionRatio: 0.67
+            }
+          }
+        }
+      }));
+      
+      const all = aggregateAlbumStats(songs);
+      const uniqueOnly = aggregateAlbumStats(songs, { uniqueOnly: true });
+      
+      assert.strictEqual(all.vocalistDistribution['Nick Carter'].leadLines, 6);
+      assert.strictEqual(all.vocalistDistribution['Nick Carter'].uniqueLines, 2);
+      assert.strictEqual(all.vocalistDistribution['Nick Carter'].repeatedLines, 4);
+      assert.strictEqual(all.vocalistDistribution['Nick Carter'].repetitionRatio, 0.67);
+      assert.strictEqual(all.totalRepeatedLines, 4);
+      assert.strictEqual(uniqueOnly.vocalistDistribution['Nick Carter'].leadLines, 2);
+      assert.strictEqual(uniqueOnly.uniqueOnly, true);
+    });
+    
+    it('should count the songs each vocalist co-wrote', () => {
+      const song = (title, writers) => ({
+        success: true,
+        songInfo: { title },
+        metadata: { writers, producers: [], releaseDate: '1999-05-18' },
+        vocalistStats: {
+          totalLines: 2, totalWords: 8,
+          vocalistStats: {
+            'Brian Littrell': { lines: 1, words: 4 },
+            'AJ McLean': { lines: 1, words: 4 }
+          }
+        }
+      });
+      
+      const result = aggregateAlbumStats([
+        song('The One', ['Max Martin', 'Brian Littrell']),
+        song('Larger Than Life', ['Max Martin', 'Brian T. Littrell'])
+      ]);
+      
+      assert.strictEqual(result.vocalistDistribution['Brian Littrell'].songsWritten, 1);
+      assert.strictEqual(result.vocalistDistribution['Brian Littrell'].songDetails[0].wroteSong, true);
+      assert.strictEqual(result.vocalistDistribution['AJ McLean'].songsWritten, 0);
+      assert.deepStrictEqual(result.songBreakdown[0].writers, ['Max Martin', 'Brian Littrell']);
+      assert.strictEqual(result.songBreakdown[0].releaseDate, '1999-05-18');
+    });
+    
+    it('should aggregate seconds sung across timed songs', () => {
+      const songs = [
+        {
+          success: true,
+          songInfo: { title: 'Song One' },
+          vocalistStats: {
+            totalLines: 2, totalWords: 8, totalSecondsSung: 40,
+            vocalistStats: {
+              'Nick Carter': { lines: 1, words: 4, secondsSung: 30 },
+              'Brian Littrell': { lines: 1, words: 4, secondsSung: 10 }
+            }
+          }
+        },
+        {
+          success: true,
+          songInfo: { title: 'Untimed Song' },
+          vocalistStats: {
+            totalLines: 1, totalWords: 4, totalSecondsSung: 0,
+            vocalistStats: { 'Brian Littrell': { lines: 1, words: 4 } }
+          }
+        }
+      ];
+      
+      const result = aggregateAlbumStats(songs);
+      
+      assert.strictEqual(result.totalSecondsSung, 40);
+      assert.strictEqual(result.timedSongs, 1);
+      assert.strictEqual(result.vocalistDistribution['Nick Carter'].secondsSung, 30);
+      assert.strictEqual(result.vocalistDistribution['Nick Carter'].secondsSungPercentage, '75.0');
+      assert.strictEqual(result.vocalistDistribution['Brian Littrell'].secondsSung, 10);
+    });
+    
     it('should calculate average lines and words per song', () => {
       const result = aggregateAlbumStats(mockSongResults);
       
@@ -300,6 +563,7 @@ describe('Album Statistics Tests', () => {
           lines: 16,
           words: 64,
           vocalists: ['Nick Carter', 'Brian Littrell'],
+          openingVocalists: ['Brian Littrell'],
           topVocalist: 'Nick Carter'
         },
         {
@@ -347,6 +611,42 @@ describe('Album Statistics Tests', () => {
       assert(result.includes('Vocal Balance: fairly balanced'));
     });
     
+    it('should include section statistics', () => {
+      const stats = {
+        ...mockAlbumStats,
+        sectionDistribution: {
+          bridge: {
+            sections: 2,
+            songsAppeared: 2,
+            vocalists: {
+              'Nick Carter': { sections: 1, lines: 4, words: 16 },
+              'Brian Littrell': { sections: 2, lines: 6, words: 24 }
+            }
+          }
+        },
+        openers: { 'Brian Littrell': 1 }
+      };
+      
+      const result = createAlbumReport(mockAlbumInfo, stats, mockInsights);
+      
+      assert(result.includes('SECTIONS'));
+      assert(result.includes('bridge (2 sections): Brian Littrell 2, Nick Carter 1'));
+      assert(result.includes('Songs Opened: Brian Littrell 1'));
+      assert(result.includes('Opened By: Brian Littrell'));
+    });
+    
+    it('should name the tracklist source and each song\'s Genius match', () => {
+      const stats = {
+        ...mockAlbumStats,
+        songBreakdown: [{ ...mockAlbumStats.songBreakdown[0], matchedTitle: 'Song One by Test Artist', matchScore: null, matchSource: 'album' }]
+      };
+      
+      const result = createAlbumReport({ ...mockAlbumInfo, source: 'genius' }, stats, mockInsights);
+      
+      assert(result.includes('Tracklist Source: Genius'));
+      assert(result.includes('Genius Match: Song One by Test Artist (by album)'));
+    });
+    
     it('should include song breakdown', () => {
       const result = createAlbumReport(mockAlbumInfo, mockAlbumStats, mockInsights);
       
@@ -358,6 +658,22 @@ describe('Album Statistics Tests', () => {
       assert(result.includes('Error: Song not found'));
     });
     
+    it('should show instrumental and unreleased songs apart from failures', () => {
+      const result = createAlbumReport(mockAlbumInfo, {
+        ...mockAlbumStats,
+        nonVocalSongs: 2,
+        songBreakdown: [
+          { title: 'Interlude', trackNumber: 1, status: 'instrumental', error: 'Song is an instrumental' },
+          { title: 'Bonus Track', trackNumber: 2, status: 'unreleased', error: 'Lyrics have not been released yet' }
+        ]
+      }, mockInsights);
+      
+      assert(result.includes('Instrumental/Unreleased: 2 (not counted in success rate)'));
+      assert(result.includes('Status: 🎼 Instrumental'));
+      assert(result.includes('Status: ⏳ Unreleased'));
+      assert(!result.includes('Status: ❌ Failed'));
+    });
+    
     it('should handle album with no processed songs', () => {
       const emptyStats = {
         totalSongs: 2,
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const {
+  normalizeReferent,
+  findFragmentLines,
+  attachAnnotations
+} = require('../../src/processors/annotations.js');
+const { parseLyricsWithVocalists } = require('../../src/processors/lyrics.js');
+
+describe('Annotations Tests', () => {
+  
+  const lyrics = `[Verse 1: Brian Littrell]
+You are my fire
+The one desire
+Believe when I say
+
+[Chorus: Nick Carter]
+Tell me why
+Ain't nothin' but a heartache`;
+  
+  const referent = (id, fragment, text = 'Explanation') => ({
+    id,
+    fragment,
+    annotations: [{ id: id * 10, body: { plain: `  ${text}  ` }, votes_total: 12, verified: true, state: 'accepted' }]
+  });
+  
+  describe('normalizeReferent', () => {
+    
+    it('should keep the fragment and plain annotation text', () => {
+      assert.deepStrictEqual(normalizeReferent(referent(1, 'You are my fire')), {
+        id: 1,
+        fragment: 'You are my fire',
+        annotations: [{ id: 10, text: 'Explanation', votes: 12, verified: true, state: 'accepted' }]
+      });
+    });
+    
+    it('should default missing fields', () => {
+      const result = normalizeReferent({ id: 2, annotations: [{ id: 3 }] });
+      assert.strictEqual(result.fragment, '');
+      assert.deepStrictEqual(result.annotations[0], { id: 3, text: '', votes: 0, verified: false, state: null });
+    });
+  });
+  
+  describe('findFragmentLines', () => {
+    
+    const lineKeys = ['you are my fire', 'the one desire', 'believe when i say', 'tell me why'];
+    
+    it('should match a single line ignoring case and punctuation', () => {
+      assert.deepStrictEqual(findFragmentLines('The one desire!', lineKeys), [1, 1]);
+    });
+    
+    it('should match consecutive lines and partial lines', () => {
+      assert.deepStrictEqual(findFragmentLines('my fire\nThe one desire\nBelieve', lineKeys), [0, 2]);
+    });
+    
+    it('should ignore section headers in the fragment', () => {
+      assert.deepStrictEqual(findFragmentLines('[Chorus]\nTell me why', lineKeys), [3, 3]);
+    });
+    
+    it('should not let short lines take fragments quoting later lines', () => {
+      const keys = ['oh', 'you are my fire', 'baby oh the one desire'];
+      
+      assert.deepStrictEqual(findFragmentLines('Baby, oh, the one desire', keys), [2, 2]);
+      assert.deepStrictEqual(findFragmentLines('desire\nOh', ['the one desire', 'ohio', 'oh yeah']), null);
+    });
+    
+    it('should require lines inside a fragment to match exactly', () => {
+      const keys = ['you are my fire', 'the one', 'the one desire', 'believe when i say'];
+      
+      assert.deepStrictEqual(findFragmentLines('my fire\nThe one desire\nBelieve', keys), null);
+      assert.deepStrictEqual(findFragmentLines('The one\nThe one desire\nBelieve', keys), [1, 3]);
+    });
+    
+    it('should return null when the lines are not consecutive', () => {
+      assert.strictEqual(findFragmentLines('You are my fire\nBelieve when I say', lineKeys), null);
+      assert.strictEqual(findFragmentLines('Quit playing games', lineKeys), null);
+    });
+  });
+  
+  describe('attachAnnotations', () => {
+    
+    it('should attach annotations to every line the fragment covers', () => {
+      const { parsedLyrics } = parseLyricsWithVocalists(lyrics);
+      const referents = [referent(1, 'The one desire\nBelieve when I say'), referent(2, 'Tell me why')].map(normalizeReferent);
+      
+      const result = attachAnnotations(parsedLyrics, referents);
+      
+      assert.strictEqual(result.attached, 2);
+      assert.deepStrictEqual(result.unmatched, []);
+      assert.strictEqual(parsedLyrics[0].annotations, undefined);
+      assert.deepStrictEqual(parsedLyrics[1].annotations[0].lineRange, [1, 2]);
+      assert.strictEqual(parsedLyrics[2].annotations[0].text, 'Explanation');
+      assert.strictEqual(parsedLyrics[3].annotations[0].referentId, 2);
+    });
+    
+    it('should report fragments that match no line and skip referents without annotations', () => {
+      const { parsedLyrics } = parseLyricsWithVocalists(lyrics);
+      const referents = [
+        normalizeReferent(referent(1, 'Quit playing games')),
+        normalizeReferent({ id: 2, fragment: 'Tell me why', annotations: [] })
+      ];
+      
+      const result = attachAnnotations(parsedLyrics, referents);
+      
+      assert.strictEqual(result.attached, 0);
+      assert.deepStrictEqual(result.unmatched.map(item => item.id), [1]);
+      assert.ok(parsedLyrics.every(item => !item.annotations));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,368 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  extractLyricsFromHTML,
+  parsePreloadedState,
+  classifyLyricsPage,
+  stripPageFurniture,
+  cleanLyricsHTML,
+  normalizeTitle,
+  scoreSearchHit,
+  parseGeniusUrl,
+  extractSongIdFromHTML,
+  normalizeSongMetadata,
+  selectBestAlbum
+} = require('../../src/scrapers/genius.js');
+const { parseLyricsWithVocalists } = require('../../src/processors/lyrics.js');
+
+describe('Genius Scraper Tests', () => {
+  
+  describe('stripPageFurniture', () => {
+    
+    it('should remove furniture lines wherever they appear', () => {
+      const result = stripPageFurniture('[Verse 1]\nYou are my fire\nYou might also like\nSee Backstreet Boys LiveGet tickets as low as $45\nThe one desire\n42Embed');
+      
+      assert.strictEqual(result.content, '[Verse 1]\nYou are my fire\nThe one desire');
+      assert.strictEqual(result.removed.length, 3);
+    });
+    
+    it('should cut furniture stuck to lyric lines', () => {
+      const result = stripPageFurniture('<i>Tell me why</i>You might also like\nYou might also like[Chorus]\nI want it that way7Embed');
+      
+      assert.strictEqual(result.content, '<i>Tell me why</i>\n[Chorus]\nI want it that way');
+    });
+    
+    it('should only remove title headings and language names above the first lyric', () => {
+      const content = 'Translations\nDeutsch\nLarger Than Life Lyrics\n[Verse 1]\nDeutsch\nSing Along Lyrics';
+      
+      assert.strictEqual(stripPageFurniture(content).content, '[Verse 1]\nDeutsch\nSing Along Lyrics');
+    });
+    
+    it('should keep language names when there is no translation menu', () => {
+      assert.strictEqual(stripPageFurniture('English\nYou are my fire').content, 'English\nYou are my fire');
+    });
+    
+    it('should apply extra patterns and leave the text alone when stripping is off', () => {
+      const content = 'You are my fire\nSubmit Corrections\n3Embed';
+      
+      assert.strictEqual(stripPageFurniture(content, { extraPatterns: ['^submit corrections$'] }).content, 'You are my fire');
+      assert.deepStrictEqual(stripPageFurniture(content, { strip: false }), { content, removed: [] });
+    });
+  });
+  
+  describe('cleanLyricsHTML', () => {
+    
+    it('should turn line breaks into lines and drop non-formatting tags', () => {
+      const html = '<div class="Lyrics__Container-sc-1">[Verse 1: Brian]<br><span>You are my fire</span><br/>The one desire</div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '[Verse 1: Brian]\nYou are my fire\nThe one desire');
+    });
+    
+    it('should close and reopen formatting on every line it spans', () => {
+      const html = '<div><i>Tell me why<br>Ain\'t nothing but a heartache</i><br>Tell me why</div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '<i>Tell me why</i>\n<i>Ain\'t nothing but a heartache</i>\nTell me why');
+    });
+    
+    it('should keep formatting through annotation links that wrap several lines', () => {
+      const html = '<div><b><a href="/123"><span>Now I can see<br>That we\'ve fallen apart</span></a></b></div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '<b>Now I can see</b>\n<b>That we\'ve fallen apart</b>');
+    });
+    
+    it('should preserve nested formatting in order', () => {
+      const html = '<div><b>Am I <i>original<br>Am I</i> the only one</b></div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '<b>Am I <i>original</i></b>\n<b><i>Am I</i> the only one</b>');
+    });
+    
+    it('should escape decoded text', () => {
+      const html = '<div>[Chorus: <b>Nick</b> &amp; <i>Brian</i>]<br>Me &lt;3 you</div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '[Chorus: <b>Nick</b> &amp; <i>Brian</i>]\nMe &lt;3 you');
+    });
+    
+    it('should separate lyrics containers with a blank line', () => {
+      const html = '<div>[Intro: AJ]<br>Yeah</div>\n\n<div>[Verse 1: Nick]<br>You are my fire</div>';
+      
+      assert.strictEqual(cleanLyricsHTML(html), '[Intro: AJ]\nYeah\n\n[Verse 1: Nick]\nYou are my fire');
+    });
+    
+    it('should produce lines the parser attributes without carrying state', () => {
+      const html = '<div>[Chorus: <b>Nick</b> &amp; <i>Brian</i>]<br><i>Tell me why<br>Ain\'t nothing but a heartache</i></div>';
+      
+      const result = parseLyricsWithVocalists(cleanLyricsHTML(html));
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Brian', 'Brian']);
+      assert.deepStrictEqual(result.diagnostics.warnings, []);
+    });
+    
+  });
+  
+  describe('extractLyricsFromHTML', () => {
+    
+    const readPage = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/genius-pages', name), 'utf8');
+    const expectedLyrics = '[Verse 1: <b>Brian Littrell</b>]\nYou are my fire\nThe one desire\n\n[Chorus: <i>Nick Carter</i>]\nTell me why\nAin\'t nothin\' but a heartache';
+    
+    it('should use the Lyrics__Container markup when the page has it', () => {
+      const result = extractLyricsFromHTML(readPage('container.html'));
+      
+      assert.strictEqual(result.strategy, 'container');
+      assert.strictEqual(result.containerCount, 2);
+      assert.strictEqual(cleanLyricsHTML(result.rawHTML), expectedLyrics);
+    });
+    
+    it('should fall back to data-lyrics-container attributes', () => {
+      const result = extractLyricsFromHTML(readPage('data-lyrics-container.html'));
+      
+      assert.strictEqual(result.strategy, 'data-lyrics-container');
+      assert.strictEqual(result.containerCount, 2);
+      assert.strictEqual(cleanLyricsHTML(result.rawHTML), expectedLyrics);
+    });
+    
+    it('should fall back to the preloaded-state JSON', () => {
+      const result = extractLyricsFromHTML(readPage('preloaded-state.html'));
+      
+      assert.strictEqual(result.strategy, 'preloaded-state');
+      assert.strictEqual(result.containerCount, 1);
+      assert.strictEqual(cleanLyricsHTML(result.rawHTML), expectedLyrics);
+    });
+    
+    it('should name every strategy it tried when none finds lyrics', () => {
+      assert.throws(
+        () => extractLyricsFromHTML(readPage('no-lyrics.html')),
+        /No lyrics found \(tried: container, data-lyrics-container, preloaded-state\)/
+      );
+    });
+    
+    it('should read escaped preloaded state and ignore pages without it', () => {
+      const state = parsePreloadedState(readPage('preloaded-state.html'));
+      
+      assert.strictEqual(state.songPage.song, 378195);
+      assert.ok(state.songPage.lyricsData.body.html.includes('<a href="/378195">'));
+      assert.strictEqual(parsePreloadedState(readPage('container.html')), null);
+      assert.strictEqual(parsePreloadedState("window.__PRELOADED_STATE__ = JSON.parse('{broken');"), null);
+    });
+  });
+  
+  describe('classifyLyricsPage', () => {
+    
+    const readPage = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/genius-pages', name), 'utf8');
+    
+    it('should mark pages with lyrics as ok and clean them', () => {
+      const result = classifyLyricsPage(readPage('preloaded-state.html'));
+      
+      assert.strictEqual(result.status, 'ok');
+      assert.strictEqual(result.extracted.strategy, 'preloaded-state');
+      assert.ok(result.cleanedContent.startsWith('[Verse 1: <b>Brian Littrell</b>]'));
+    });
+    
+    it('should recognise instrumental and unreleased placeholders', () => {
+      assert.strictEqual(classifyLyricsPage(readPage('instrumental.html')).status, 'instrumental');
+      assert.strictEqual(classifyLyricsPage(readPage('unreleased.html')).status, 'unreleased');
+    });
+    
+    it('should treat lyrics made only of an instrumental header as instrumental', () => {
+      const html = '<div class="Lyrics__Container-sc-1">[Instrumental]</div>';
+      
+      assert.strictEqual(classifyLyricsPage(html).status, 'instrumental');
+    });
+    
+    it('should use the song record when the page has no placeholder', () => {
+      assert.strictEqual(classifyLyricsPage(readPage('no-lyrics.html'), { instrumental: true }).status, 'instrumental');
+      assert.strictEqual(classifyLyricsPage(readPage('no-lyrics.html'), { lyrics_state: 'unreleased' }).status, 'unreleased');
+    });
+    
+    it('should strip page furniture and keep the text as extracted', () => {
+      const result = classifyLyricsPage(readPage('furniture.html'));
+      
+      assert.strictEqual(result.status, 'ok');
+      assert.strictEqual(result.cleanedContent, '[Verse 1: <b>Brian Littrell</b>]\nYou are my fire\nThe one desire\n\n[Chorus: <i>Nick Carter</i>]\nTell me why\nAin\'t nothin\' but a heartache');
+      assert.ok(result.rawContent.startsWith('12 Contributors'));
+      assert.deepStrictEqual(result.removedFurniture, ['12 Contributors', 'Translations', 'Español', 'Русский (Russian)', 'I Want It That Way Lyrics', 'You might also like', '123Embed']);
+    });
+    
+    it('should treat a page holding only furniture as empty', () => {
+      assert.strictEqual(classifyLyricsPage('<div class="Lyrics__Container-sc-1">5 Contributors<br>Embed</div>').status, 'empty');
+    });
+    
+    it('should tell blocked pages from empty ones', () => {
+      assert.strictEqual(classifyLyricsPage(readPage('blocked.html')).status, 'blocked');
+      assert.strictEqual(classifyLyricsPage(readPage('no-lyrics.html')).status, 'empty');
+      assert.strictEqual(classifyLyricsPage('<div class="Lyrics__Container-sc-1">[Verse 1]</div>').status, 'empty');
+    });
+  });
+  
+  describe('parseGeniusUrl', () => {
+    
+    it('should read the song ID from song URLs', () => {
+      assert.deepStrictEqual(parseGeniusUrl('https://genius.com/songs/378195'), { songId: '378195', url: 'https://genius.com/songs/378195' });
+    });
+    
+    it('should keep lyrics page URLs without their query string', () => {
+      assert.deepStrictEqual(parseGeniusUrl('https://genius.com/Backstreet-boys-i-want-it-that-way-lyrics?ref=search'), {
+        songId: null,
+        url: 'https://genius.com/Backstreet-boys-i-want-it-that-way-lyrics'
+      });
+    });
+    
+    it('should reject URLs from other sites', () => {
+      assert.throws(() => parseGeniusUrl('https://example.com/songs/1'), /not a Genius URL/);
+      assert.throws(() => parseGeniusUrl('genius'), /Invalid URL/);
+    });
+    
+  });
+  
+  describe('extractSongIdFromHTML', () => {
+    
+    it('should find the app link song ID', () => {
+      const html = '<meta property="twitter:app:url:iphone" content="genius://songs/378195" />';
+      assert.strictEqual(extractSongIdFromHTML(html), '378195');
+    });
+    
+    it('should fall back to the embedded song_id', () => {
+      assert.strictEqual(extractSongIdFromHTML('<script>window.data = {"song_id": 42};</script>'), '42');
+    });
+    
+    it('should return null when the page names no song', () => {
+      assert.strictEqual(extractSongIdFromHTML('<html></html>'), null);
+    });
+    
+  });
+  
+  describe('normalizeSongMetadata', () => {
+    
+    it('should normalise a full song record', () => {
+      const metadata = normalizeSongMetadata({
+        id: 378195,
+        title: 'I Want It That Way',
+        url: 'https://genius.com/Backstreet-boys-i-want-it-that-way-lyrics',
+        primary_artist: { name: 'Backstreet Boys' },
+        featured_artists: [],
+        album: { id: 1, name: 'Millennium', url: 'https://genius.com/albums/Backstreet-boys/Millennium' },
+        release_date: '1999-04-12',
+        release_date_components: { year: 1999, month: 4, day: 12 },
+        writer_artists: [{ name: 'Max Martin' }, { name: 'Andreas Carlsson' }],
+        producer_artists: [{ name: 'Max Martin' }],
+        custom_performances: [{ label: 'Label', artists: [{ name: 'Jive Records' }] }],
+        song_relationships: [
+          { relationship_type: 'covered_by', songs: [{ id: 2, title: 'I Want It That Way', primary_artist: { name: 'Someone' } }] },
+          { relationship_type: 'samples', songs: [] }
+        ],
+        language: 'en'
+      });
+      
+      assert.deepStrictEqual(metadata, {
+        id: 378195,
+        title: 'I Want It That Way',
+        url: 'https://genius.com/Backstreet-boys-i-want-it-that-way-lyrics',
+        primaryArtist: 'Backstreet Boys',
+        featuredArtists: [],
+        album: { id: 1, name: 'Millennium', url: 'https://genius.com/albums/Backstreet-boys/Millennium' },
+        releaseDate: '1999-04-12',
+        releaseYear: 1999,
+        writers: ['Max Martin', 'Andreas Carlsson'],
+        producers: ['Max Martin'],
+        otherCredits: { Label: ['Jive Records'] },
+        relationships: [{ type: 'covered_by', songs: [{ id: 2, title: 'I Want It That Way', artist: 'Someone' }] }],
+        language: 'en'
+      });
+    });
+    
+    it('should leave fields a search hit lacks empty', () => {
+      const metadata = normalizeSongMetadata({ id: 1, title: 'Song', url: 'https://genius.com/x', primary_artist: { name: 'Artist' } });
+      
+      assert.strictEqual(metadata.album, null);
+      assert.strictEqual(metadata.releaseYear, null);
+      assert.deepStrictEqual(metadata.writers, []);
+      assert.deepStrictEqual(metadata.relationships, []);
+    });
+    
+  });
+  
+  describe('selectBestAlbum', () => {
+    
+    it('should pick the album matching both name and artist', () => {
+      const albums = [
+        { id: 1, name: 'Millennium', artist: { name: 'Some Tribute Band' } },
+        { id: 2, name: 'Millennium (Deluxe Edition)', artist: { name: 'Backstreet Boys' } },
+        { id: 3, name: 'Millennium', artist: { name: 'Backstreet Boys' } }
+      ];
+      
+      assert.deepStrictEqual(selectBestAlbum(albums, 'Backstreet Boys', 'Millennium'), { album: albums[2], score: 1 });
+    });
+    
+    it('should reject a list where no album scores the minimum', () => {
+      const albums = [
+        { id: 1, name: 'Millennium', artist: { name: 'Some Tribute Band' } },
+        { id: 2, name: 'Black & Blue', artist: { name: 'Backstreet Boys' } }
+      ];
+      
+      assert.throws(() => selectBestAlbum(albums, 'Backstreet Boys', 'Millennium'), /"Millennium" by Some Tribute Band only scored 0\.68 \(minimum 0\.7\)/);
+      assert.strictEqual(selectBestAlbum(albums, 'Backstreet Boys', 'Millennium', { minScore: 0.6 }).album, albums[0]);
+    });
+    
+    it('should return null without albums', () => {
+      assert.strictEqual(selectBestAlbum([], 'Backstreet Boys', 'Millennium'), null);
+    });
+    
+  });
+  
+  describe('normalizeTitle', () => {
+    
+    it('should drop case, accents, punctuation and featured artists', () => {
+      assert.strictEqual(normalizeTitle('Everybody (Backstreet\'s Back)'), 'everybody backstreet s back');
+      assert.strictEqual(normalizeTitle('Drowning (feat. Someone) – Café'), 'drowning cafe');
+      assert.strictEqual(normalizeTitle('Nick &amp; Brian'), 'nick and brian');
+    });
+    
+  });
+  
+  describe('scoreSearchHit', () => {
+    const artist = 'Backstreet Boys';
+    const title = 'I Want It That Way';
+    const hit = (title, primaryArtist = artist) => ({ title, primary_artist: { name: primaryArtist }, artist_names: primaryArtist });
+    
+    it('should give an exact match full marks', () => {
+      assert.deepStrictEqual(scoreSearchHit(hit('I Want It That Way'), artist, title), { score: 1, title: 1, artist: 1, penalties: [] });
+    });
+    
+    it('should penalise translation and romanization pages', () => {
+      const result = scoreSearchHit(hit('Backstreet Boys - I Want It That Way (Traducción al Español)', 'Genius Traducciones al Español'), artist, title);
+      
+      assert.deepStrictEqual(result.penalties, ['translation']);
+      assert.ok(result.score < 0.3);
+    });
+    
+    it('should penalise versions the request did not ask for', () => {
+      const live = scoreSearchHit(hit('I Want It That Way (Live)'), artist, title);
+      const remix = scoreSearchHit(hit('I Want It That Way [Remix]'), artist, title);
+      
+      assert.deepStrictEqual(live.penalties, ['live']);
+      assert.deepStrictEqual(remix.penalties, ['remix']);
+      assert.ok(live.score < 0.7);
+    });
+    
+    it('should accept versions named by the album', () => {
+      const result = scoreSearchHit(hit('I Want It That Way (Live)'), artist, title, 'Live in Concert');
+      
+      assert.strictEqual(result.score, 1);
+    });
+    
+    it('should rank another artist\'s song below the requested artist\'s', () => {
+      const cover = scoreSearchHit(hit('I Want It That Way', 'Five Finger Death Punch'), artist, title);
+      
+      assert.ok(cover.score < 0.7);
+      assert.ok(cover.score < scoreSearchHit(hit('I Want It That Way'), artist, title).score);
+    });
+    
+    it('should give partial credit to featured artists', () => {
+      const result = scoreSearchHit({ title, primary_artist: { name: 'DJ Someone' }, artist_names: 'DJ Someone & Backstreet Boys' }, artist, title);
+      
+      assert.strictEqual(result.artist, 0.5);
+    });
+    
+  });
+  
+});
\ No newline at end of file
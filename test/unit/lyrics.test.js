@@ -5,9 +5,23 @@ const {
   parseVocalists,
   processVocalistName,
   determineVocalist,
+  splitLineIntoSegments,
+  classifyRole,
+  parseSectionName,
   generateStatsSummary,
   parseLyricsFromFile
 } = require('../../src/processors/lyrics.js');
+const { createRoster } = require('../../src/processors/roster.js');
+
+const testRoster = createRoster({
+  groupLabels: ['All', 'Backstreet Boys'],
+  members: [
+    { name: 'Nick Carter', aliases: ['Nick', 'N. Carter'] },
+    { name: 'Brian Littrell', aliases: ['Brian'] },
+    { name: 'AJ McLean', aliases: ['AJ'] },
+    { name: 'Howie Dorough', aliases: ['Howie'] }
+  ]
+});
 
 describe('Lyrics Processing Tests', () => {
   
@@ -38,6 +52,30 @@ describe('Lyrics Processing Tests', () => {
       assert.deepStrictEqual(result, { 'Howie Dorough': 'bold-italic' });
     });
     
+    it('should treat strong and em like bold and italic', () => {
+      const result = parseVocalists('<strong>Nick Carter</strong> &amp; <em>Brian Littrell</em>');
+      assert.deepStrictEqual(result, {
+        'Nick Carter': 'bold',
+        'Brian Littrell': 'italic'
+      });
+    });
+    
+    it('should parse underlined and deeply nested vocalists', () => {
+      const result = parseVocalists('<u>Kevin Richardson</u>, <em><u><strong>Howie Dorough</strong></u></em>');
+      assert.deepStrictEqual(result, {
+        'Kevin Richardson': 'underline',
+        'Howie Dorough': 'bold-italic-underline'
+      });
+    });
+    
+    it('should use the configured format map', () => {
+      const result = parseVocalists('<mark>AJ McLean</mark>, <b>Nick Carter</b>', null, { mark: 'highlight' });
+      assert.deepStrictEqual(result, {
+        'AJ McLean': 'highlight',
+        'Nick Carter': 'plain'
+      });
+    });
+    
     it('should parse multiple vocalists separated by comma', () => {
       const result = parseVocalists('<i>AJ McLean</i>, Howie Dorough');
       assert.deepStrictEqual(result, {
@@ -102,6 +140,14 @@ describe('Lyrics Processing Tests', () => {
       assert.deepStrictEqual(result, { 'All': 'plain' });
     });
     
+    it('should resolve aliases against a roster', () => {
+      const result = parseVocalists('<b>N. Carter</b>, Brian', testRoster);
+      assert.deepStrictEqual(result, {
+        'Nick Carter': 'bold',
+        'Brian Littrell': 'plain'
+      });
+    });
+    
   });
   
   describe('processVocalistName', () => {
@@ -116,6 +162,11 @@ describe('Lyrics Processing Tests', () => {
       assert.strictEqual(result, 'AJ McLean');
     });
     
+    it('should decode numeric character references', () => {
+      const result = processVocalistName('Nick&#x27;s &amp; Brian&#39;s');
+      assert.strictEqual(result, "Nick's & Brian's");
+    });
+    
     it('should preserve & in duo names', () => {
       const result = processVocalistName('Nick & Brian');
       assert.strictEqual(result, 'Nick & Brian');
@@ -165,6 +216,92 @@ describe('Lyrics Processing Tests', () => {
     
   });
   
+  describe('splitLineIntoSegments', () => {
+    
+    it('should split a line at formatting changes', () => {
+      const result = splitLineIntoSegments('Tell me why <i>(tell me why)</i>');
+      assert.deepStrictEqual(result.segments, [
+        { text: 'Tell me why', format: 'plain', parenthetical: false },
+        { text: '(tell me why)', format: 'italic', parenthetical: true }
+      ]);
+      assert.deepStrictEqual(result.openTags, []);
+    });
+    
+    it('should detect nested bold and italic', () => {
+      const result = splitLineIntoSegments('<b><i>You are my fire</i></b>');
+      assert.deepStrictEqual(result.segments, [{ text: 'You are my fire', format: 'bold-italic', parenthetical: false }]);
+    });
+    
+    it('should detect formats in any nesting order', () => {
+      const result = splitLineIntoSegments('<u><em>Tell me why</em></u> <strong>(tell me why)</strong>');
+      assert.deepStrictEqual(result.segments, [
+        { text: 'Tell me why', format: 'italic-underline', parenthetical: false },
+        { text: '(tell me why)', format: 'bold', parenthetical: true }
+      ]);
+    });
+    
+    it('should fold punctuation into the neighbouring segment', () => {
+      const result = splitLineIntoSegments('<b>Now I can see</b>, <i>yeah</i>');
+      assert.deepStrictEqual(result.segments, [
+        { text: 'Now I can see,', format: 'bold', parenthetical: false },
+        { text: 'yeah', format: 'italic', parenthetical: false }
+      ]);
+    });
+    
+    it('should carry tags left open across lines', () => {
+      const first = splitLineIntoSegments('<b>Start of formatted section');
+      assert.deepStrictEqual(first.openTags, ['b']);
+      
+      const second = splitLineIntoSegments('End of section</b> and more', first.openTags);
+      assert.deepStrictEqual(second.segments, [
+        { text: 'End of section', format: 'bold', parenthetical: false },
+        { text: 'and more', format: 'plain', parenthetical: false }
+      ]);
+      assert.deepStrictEqual(second.openTags, []);
+    });
+    
+  });
+  
+  describe('classifyRole', () => {
+    
+    it('should treat plain text as lead', () => {
+      assert.strictEqual(classifyRole('Tell me why', false), 'lead');
+    });
+    
+    it('should treat parenthetical lyrics as backing', () => {
+      assert.strictEqual(classifyRole('(tell me why)', true), 'backing');
+    });
+    
+    it('should treat parenthetical vocalisations as ad-libs', () => {
+      assert.strictEqual(classifyRole('(Yeah, yeah)', true), 'ad-lib');
+      assert.strictEqual(classifyRole('(Ooh)', true), 'ad-lib');
+      assert.strictEqual(classifyRole('(Whoa-oh)', true), 'ad-lib');
+    });
+    
+    it('should let the section role win', () => {
+      assert.strictEqual(classifyRole('Am I original?', false, 'spoken'), 'spoken');
+    });
+    
+  });
+  
+  describe('parseSectionName', () => {
+    
+    it('should separate the section name from its vocalists', () => {
+      assert.deepStrictEqual(parseSectionName('Verse 1: Brian Littrell'), { name: 'Verse 1', type: 'verse' });
+    });
+    
+    it('should prefer the most specific section type', () => {
+      assert.strictEqual(parseSectionName('Pre-Chorus: Nick Carter').type, 'pre-chorus');
+      assert.strictEqual(parseSectionName('Pre Chorus').type, 'pre-chorus');
+      assert.strictEqual(parseSectionName('Final Chorus: All').type, 'chorus');
+    });
+    
+    it('should report unknown section types as other', () => {
+      assert.deepStrictEqual(parseSectionName('Skit'), { name: 'Skit', type: 'other' });
+    });
+    
+  });
+  
   describe('generateStatsSummary', () => {
     
     it('should calculate correct totals and percentages', () => {
@@ -193,6 +330,78 @@ describe('Lyrics Processing Tests', () => {
       assert.strictEqual(result.vocalistCount, 0);
     });
     
+    it('should report lead-only percentages', () => {
+      const mockStats = {
+        'Nick Carter': {
+          lines: 4, words: 16,
+          roles: { lead: { lines: 2, words: 8 }, backing: { lines: 2, words: 8 }, 'ad-lib': { lines: 0, words: 0 }, spoken: { lines: 0, words: 0 } }
+        },
+        'Brian Littrell': {
+          lines: 2, words: 8,
+          roles: { lead: { lines: 2, words: 8 }, backing: { lines: 0, words: 0 }, 'ad-lib': { lines: 0, words: 0 }, spoken: { lines: 0, words: 0 } }
+        }
+      };
+      
+      const result = generateStatsSummary(mockStats);
+      
+      assert.strictEqual(result.totalLeadLines, 4);
+      assert.strictEqual(result.roleTotals.backing.lines, 2);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].linesPercentage, '66.7');
+      assert.strictEqual(result.vocalistStats['Nick Carter'].leadLinesPercentage, '50.0');
+    });
+    
+    it('should report syllables and the chosen share metric', () => {
+      const mockStats = {
+        'Nick Carter': {
+          lines: 2, words: 4, syllables: 12,
+          roles: { lead: { lines: 2, words: 4, syllables: 12 } }
+        },
+        'Brian Littrell': {
+          lines: 2, words: 8, syllables: 4,
+          roles: { lead: { lines: 2, words: 8, syllables: 4 } }
+        }
+      };
+      
+      const result = generateStatsSummary(mockStats, { shareMetric: 'syllables' });
+      
+      assert.strictEqual(result.totalSyllables, 16);
+      assert.strictEqual(result.totalLeadSyllables, 16);
+      assert.strictEqual(result.shareMetric, 'syllables');
+      assert.strictEqual(result.vocalistStats['Nick Carter'].syllablesPercentage, '75.0');
+      assert.strictEqual(result.vocalistStats['Nick Carter'].sharePercentage, '75.0');
+      assert.strictEqual(result.vocalistStats['Nick Carter'].leadLinesPercentage, '50.0');
+    });
+    
+    it('should base percentages on unique lines with uniqueOnly', () => {
+      const result = parseLyricsWithVocalists(`[Chorus: Nick Carter]
+Tell me why
+Tell me why
+Tell me why
+[Verse 1: Brian Littrell]
+You are my fire`);
+      
+      const all = generateStatsSummary(result.vocalistStats);
+      const unique = generateStatsSummary(result.vocalistStats, { uniqueOnly: true });
+      
+      assert.strictEqual(all.vocalistStats['Nick Carter'].leadLinesPercentage, '75.0');
+      assert.strictEqual(unique.vocalistStats['Nick Carter'].leadLinesPercentage, '50.0');
+      assert.strictEqual(unique.totalLines, 2);
+      assert.strictEqual(unique.totalRepeatedLines, 2);
+      assert.strictEqual(unique.uniqueOnly, true);
+    });
+    
+    it('should report the share of seconds sung', () => {
+      const mockStats = {
+        'Nick Carter': { lines: 1, words: 3, syllables: 3, secondsSung: 6 },
+        'Brian Littrell': { lines: 1, words: 5, syllables: 7, secondsSung: 14 }
+      };
+      
+      const result = generateStatsSummary(mockStats);
+      
+      assert.strictEqual(result.totalSecondsSung, 20);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].secondsSungPercentage, '70.0');
+    });
+    
     it('should handle single vocalist', () => {
       const mockStats = {
         'Solo Artist': { lines: 5, words: 20 }
@@ -276,6 +485,492 @@ Short line`;
       assert.strictEqual(result.vocalistStats['Test Singer'].words, 4); // "This is five words"
     });
     
+    it('should merge alias spellings into one vocalist with a roster', () => {
+      const sampleLyrics = `[Verse 1: Nick]
+You are my fire
+
+[Verse 2: <b>Nick Carter</b>]
+<b>The one desire</b>`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.deepStrictEqual(Object.keys(result.vocalistStats), ['Nick Carter']);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].lines, 2);
+      assert.deepStrictEqual(result.unmatchedVocalists, []);
+    });
+    
+    it('should report vocalists missing from the roster', () => {
+      const sampleLyrics = `[Verse 1: Kevin]
+Show me the meaning`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.deepStrictEqual(result.unmatchedVocalists, ['Kevin']);
+    });
+    
+    it('should expand group labels into member credits', () => {
+      const sampleLyrics = `[Chorus: All]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.strictEqual(result.parsedLyrics[0].vocalist, 'Group');
+      assert.deepStrictEqual(result.parsedLyrics[0].credits, ['Nick Carter', 'Brian Littrell', 'AJ McLean', 'Howie Dorough']);
+      assert.strictEqual(result.vocalistStats['AJ McLean'].lines, 1);
+      assert.strictEqual(result.vocalistStats['AJ McLean'].words, 3);
+      assert(!result.vocalistStats['All']);
+    });
+    
+    it('should split group lines evenly in split mode', () => {
+      const sampleLyrics = `[Chorus: Backstreet Boys]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster, groupMode: 'split' });
+      
+      assert.strictEqual(result.vocalistStats['Nick Carter'].lines, 0.25);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].words, 0.75);
+      assert.strictEqual(generateStatsSummary(result.vocalistStats).totalLines, 1);
+    });
+    
+    it('should keep a separate group bucket in group mode', () => {
+      const sampleLyrics = `[Chorus: All]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster, groupMode: 'group' });
+      
+      assert.deepStrictEqual(Object.keys(result.vocalistStats), ['Group']);
+      assert.strictEqual(result.vocalistStats['Group'].isGroup, true);
+    });
+    
+    it('should attribute duo lines to each member', () => {
+      const sampleLyrics = `[Verse 1: Nick]
+You are my fire
+
+[Bridge: <i>AJ &amp; Brian</i>]
+<i>Don't wanna hear you say</i>`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.strictEqual(result.parsedLyrics[1].vocalist, 'AJ McLean & Brian Littrell');
+      assert.deepStrictEqual(result.parsedLyrics[1].credits, ['AJ McLean', 'Brian Littrell']);
+      assert.strictEqual(result.vocalistStats['AJ McLean'].lines, 1);
+      assert.strictEqual(result.vocalistStats['AJ McLean'].words, 5);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].lines, 1);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].words, 5);
+      assert(!result.vocalistStats['AJ McLean & Brian Littrell']);
+      assert.deepStrictEqual(result.unmatchedVocalists, []);
+      assert.deepStrictEqual(result.duetStats, {});
+    });
+    
+    it('should attribute plain duo headers to each member', () => {
+      const sampleLyrics = `[Bridge: AJ & Brian]
+Don't wanna hear you say
+
+[Verse 2: AJ &amp; Brian]
+Ain't nothin' but a heartache`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster, trackDuets: true });
+      
+      result.parsedLyrics.forEach(line => {
+        assert.strictEqual(line.vocalist, 'AJ McLean & Brian Littrell');
+        assert.deepStrictEqual(line.credits, ['AJ McLean', 'Brian Littrell']);
+      });
+      assert.strictEqual(result.vocalistStats['AJ McLean'].lines, 2);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].lines, 2);
+      assert.deepStrictEqual(result.duetStats, { 'AJ McLean & Brian Littrell': { lines: 2, words: 10 } });
+    });
+    
+    it('should track duo pairings when requested', () => {
+      const sampleLyrics = `[Bridge: <i>AJ &amp; Brian</i>]
+<i>Don't wanna hear you say</i>`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { trackDuets: true });
+      
+      assert.deepStrictEqual(result.duetStats, { 'AJ & Brian': { lines: 1, words: 5 } });
+      assert.strictEqual(result.vocalistStats['AJ'].lines, 1);
+      assert.strictEqual(result.vocalistStats['Brian'].lines, 1);
+    });
+    
+    it('should attribute each segment of a line to its own vocalist', () => {
+      const sampleLyrics = `[Chorus: Nick Carter, <i>Brian Littrell</i>]
+Tell me why <i>(tell me why)</i>`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      const line = result.parsedLyrics[0];
+      
+      assert.strictEqual(line.vocalist, 'Nick Carter');
+      assert.deepStrictEqual(line.credits, ['Nick Carter', 'Brian Littrell']);
+      assert.strictEqual(line.segments.length, 2);
+      assert.strictEqual(line.segments[1].vocalist, 'Brian Littrell');
+      assert.strictEqual(line.segments[1].words, 3);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].lines, 1);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].words, 3);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].lines, 1);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].words, 3);
+    });
+    
+    it('should classify backing vocals and ad-libs separately from lead lines', () => {
+      const sampleLyrics = `[Chorus: Nick Carter]
+Tell me why (tell me why)
+(Yeah, yeah)`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      const nick = result.vocalistStats['Nick Carter'];
+      
+      assert.deepStrictEqual(result.parsedLyrics[0].segments.map(segment => segment.role), ['lead', 'backing']);
+      assert.strictEqual(result.parsedLyrics[0].role, 'lead');
+      assert.strictEqual(result.parsedLyrics[1].role, 'ad-lib');
+      assert.strictEqual(nick.lines, 2);
+      assert.deepStrictEqual(nick.roles.lead, { lines: 1, words: 3, syllables: 3 });
+      assert.deepStrictEqual(nick.roles.backing, { lines: 1, words: 3, syllables: 3 });
+      assert.deepStrictEqual(nick.roles['ad-lib'], { lines: 1, words: 2, syllables: 2 });
+    });
+    
+    it('should count syllables per segment and vocalist', () => {
+      const result = parseLyricsWithVocalists(`[Chorus: Nick Carter]
+Tell me why (ooooh)`);
+      
+      assert.deepStrictEqual(result.parsedLyrics[0].segments.map(segment => segment.syllables), [3, 1]);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].syllables, 4);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].roles.lead.syllables, 3);
+    });
+    
+    it('should count unique and repeated lines per vocalist', () => {
+      const sampleLyrics = `[Chorus: Nick Carter]
+Tell me why
+Ain't nothing but a heartache
+[Verse 1: Brian Littrell]
+You are my fire
+[Chorus: Nick Carter]
+Tell me why!
+Ain't nothing but a heartache`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      const nick = result.vocalistStats['Nick Carter'];
+      
+      assert.strictEqual(nick.lines, 4);
+      assert.strictEqual(nick.unique.lines, 2);
+      assert.strictEqual(nick.unique.words, 8);
+      assert.strictEqual(nick.repeatedLines, 2);
+      assert.strictEqual(nick.repetitionRatio, 0.5);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].repetitionRatio, 0);
+    });
+    
+    it('should track repeats separately for each vocalist', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1: Nick Carter]
+Tell me why
+[Verse 2: Brian Littrell]
+Tell me why`);
+      
+      assert.strictEqual(result.vocalistStats['Nick Carter'].repeatedLines, 0);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].repeatedLines, 0);
+    });
+    
+    it('should estimate seconds sung from the track length', () => {
+      const sampleLyrics = `[Verse 1: Nick Carter]
+Tell me why
+[Verse 2: Brian Littrell]
+Ain't nothing but a heartache`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { duration: 30, timing: { introSeconds: 5, outroSeconds: 5 } });
+      
+      // 20 sung seconds over 10 syllables
+      assert.deepStrictEqual(result.timing, { duration: 30, singingSeconds: 20, secondsPerSyllable: 2 });
+      assert.strictEqual(result.vocalistStats['Nick Carter'].secondsSung, 6);
+      assert.strictEqual(result.vocalistStats['Brian Littrell'].secondsSung, 14);
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.seconds), [6, 14]);
+    });
+    
+    it('should share seconds of split group lines', () => {
+      const result = parseLyricsWithVocalists(`[Chorus: All]
+Tell me why`, { roster: testRoster, groupMode: 'split', duration: 12, timing: { introSeconds: 0, outroSeconds: 0 } });
+      
+      assert.strictEqual(result.vocalistStats['Nick Carter'].secondsSung, 3);
+    });
+    
+    it('should cap the intro and outro allowance at half the track', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1: Nick Carter]
+Tell me why`, { duration: 10 });
+      
+      assert.strictEqual(result.timing.singingSeconds, 5);
+    });
+    
+    it('should leave out seconds sung without a track length', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1: Nick Carter]
+Tell me why`);
+      
+      assert.strictEqual(result.timing, null);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].secondsSung, undefined);
+    });
+    
+    it('should carry parentheses across lines', () => {
+      const sampleLyrics = `[Chorus: Nick Carter]
+(Tell me why
+Ain't nothing but a heartache)
+I want it that way`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.role), ['backing', 'backing', 'lead']);
+    });
+    
+    it('should mark lines in spoken sections as spoken', () => {
+      const sampleLyrics = `[Intro: AJ McLean (Spoken)]
+Am I original?`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(Object.keys(result.vocalistStats), ['AJ McLean']);
+      assert.strictEqual(result.parsedLyrics[0].role, 'spoken');
+      assert.strictEqual(result.vocalistStats['AJ McLean'].roles.spoken.lines, 1);
+    });
+    
+    it('should tag each line with its section', () => {
+      const sampleLyrics = `[Verse 1: Brian Littrell]
+You are my fire
+[Chorus: Nick Carter]
+Tell me why
+[Verse 2: Nick Carter]
+Now I can see
+[Chorus]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.section), [
+        { name: 'Verse 1', type: 'verse', index: 1 },
+        { name: 'Chorus', type: 'chorus', index: 1 },
+        { name: 'Verse 2', type: 'verse', index: 2 },
+        { name: 'Chorus', type: 'chorus', index: 2 }
+      ]);
+    });
+    
+    it('should break lead vocals down by section type', () => {
+      const sampleLyrics = `[Verse 1: Brian Littrell]
+You are my fire
+The one desire
+[Chorus: Nick Carter]
+Tell me why (tell me why)
+[Verse 2: Nick Carter]
+Now I can see
+[Chorus: Nick Carter]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.strictEqual(result.sectionStats.verse.sections, 2);
+      assert.deepStrictEqual(result.sectionStats.verse.vocalists['Brian Littrell'], { sections: 1, lines: 2, words: 7 });
+      assert.deepStrictEqual(result.sectionStats.chorus.vocalists['Nick Carter'], { sections: 2, lines: 2, words: 6 });
+    });
+    
+    it('should report who opens the song', () => {
+      const sampleLyrics = `[Intro: All]
+(Ooh)
+[Verse 1: AJ]
+Am I original?`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.deepStrictEqual(result.openingVocalists, ['AJ McLean']);
+    });
+    
+    it('should inherit vocalists from an earlier section with the same name', () => {
+      const sampleLyrics = `[Chorus: Nick Carter]
+Tell me why
+[Verse 2: Brian Littrell]
+Now I can see
+[Chorus]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.strictEqual(result.parsedLyrics[2].vocalist, 'Nick Carter');
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.inherited), [false, false, true]);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].lines, 2);
+    });
+    
+    it('should fall back to the group credit for uncredited sections', () => {
+      const sampleLyrics = `[Intro]
+Yeah
+[Verse 1: Nick]
+You are my fire`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster, groupMode: 'group' });
+      
+      assert.strictEqual(result.parsedLyrics[0].vocalist, 'Group');
+      assert.strictEqual(result.parsedLyrics[0].inherited, true);
+      assert.strictEqual(result.parsedLyrics[1].inherited, false);
+    });
+    
+    it('should fall back to the artist without a roster', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1]
+You are my fire`, { artist: 'Backstreet Boys' });
+      
+      assert.strictEqual(result.parsedLyrics[0].vocalist, 'Backstreet Boys');
+      assert.strictEqual(result.parsedLyrics[0].inherited, true);
+    });
+    
+    it('should not carry the previous section\'s vocalists into an uncredited section', () => {
+      const sampleLyrics = `[Verse 1: Nick Carter]
+You are my fire
+[Bridge]
+Am I original?`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.strictEqual(result.parsedLyrics.length, 1);
+      assert.strictEqual(result.vocalistStats['Nick Carter'].lines, 1);
+    });
+    
+    it('should report high confidence for formatting matches', () => {
+      const sampleLyrics = `[Chorus: <b>Nick Carter</b> &amp; <i>Brian Littrell</i>]
+<b>Tell me why</b>
+<i>Ain't nothing but a heartache</i>`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(result.diagnostics.confidence, { high: 2, medium: 0, low: 0 });
+      assert.deepStrictEqual(result.diagnostics.lines[0], { index: 0, lineNumber: 2, confidence: 'high', reason: 'format-match' });
+      assert.deepStrictEqual(result.diagnostics.warnings, []);
+    });
+    
+    it('should flag fallback attributions and formats with no vocalist', () => {
+      const sampleLyrics = `[Chorus: <b>Nick Carter</b> &amp; <i>Brian Littrell</i>]
+Tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.strictEqual(result.diagnostics.lines[0].confidence, 'low');
+      assert.strictEqual(result.diagnostics.lines[0].reason, 'first-vocalist-fallback');
+      assert.strictEqual(result.diagnostics.warnings[0].type, 'unmatched-format');
+    });
+    
+    it('should mark inherited lines as medium confidence', () => {
+      const result = parseLyricsWithVocalists(`[Chorus: Nick Carter]
+Tell me why
+[Chorus]
+Tell me why`);
+      
+      assert.strictEqual(result.diagnostics.lines[1].reason, 'inherited');
+      assert.strictEqual(result.diagnostics.confidence.medium, 1);
+    });
+    
+    it('should warn about unclosed tags and skipped lines', () => {
+      const sampleLyrics = `Stray line
+[Verse 1: Nick Carter]
+<b>You are my fire
+[Verse 2: Brian Littrell]
+Now I can see`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      const types = result.diagnostics.warnings.map(warning => warning.type);
+      
+      assert.deepStrictEqual(types, ['unattributed-line', 'unclosed-tag']);
+      assert.strictEqual(result.diagnostics.warnings[1].lineNumber, 4);
+    });
+    
+    it('should switch vocalists on prefix labels', () => {
+      const sampleLyrics = `[Verse 1: Nick, Brian]
+Nick: You are my fire
+The one desire
+Brian: Believe when I say`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Nick', 'Nick', 'Brian']);
+      assert.strictEqual(result.parsedLyrics[0].line, 'You are my fire');
+    });
+    
+    it('should only accept prefix labels naming credited vocalists without a roster', () => {
+      const sampleLyrics = `[Verse 1: Nick &amp; Brian]
+Baby: don't you cry tonight
+You are my fire
+Brian: The one desire`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { artist: 'Backstreet Boys' });
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Nick & Brian', 'Nick & Brian', 'Brian']);
+      assert.strictEqual(result.parsedLyrics[0].line, 'Baby: don\'t you cry tonight');
+    });
+    
+    it('should accept prefix labels in hand-prepared lyrics without a roster or headers', () => {
+      const sampleLyrics = `Nick: You are my fire
+The one desire
+Brian: Believe when I say
+Nick: I want it that way`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Nick', 'Nick', 'Brian', 'Nick']);
+      assert.strictEqual(result.parsedLyrics[2].line, 'Believe when I say');
+    });
+    
+    it('should leave a lone name-shaped prefix as a lyric without a roster or headers', () => {
+      const sampleLyrics = `You are my fire
+Baby: don't you cry tonight`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics);
+      
+      assert.deepStrictEqual(Object.keys(result.vocalistStats), []);
+    });
+    
+    it('should switch vocalists on marker and bracket labels', () => {
+      const sampleLyrics = `[Verse 1: Nick &amp; Brian]
+You are my fire
+(Brian)
+The one desire
+[AJ:]
+Believe when I say`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Nick Carter & Brian Littrell', 'Brian Littrell', 'AJ McLean']);
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.section.name), ['Verse 1', 'Verse 1', 'Verse 1']);
+    });
+    
+    it('should leave lyrics that only look like labels alone', () => {
+      const sampleLyrics = `[Chorus: Nick Carter]
+(Yeah)
+Baby: tell me why`;
+      
+      const result = parseLyricsWithVocalists(sampleLyrics, { roster: testRoster });
+      
+      assert.deepStrictEqual(result.parsedLyrics.map(line => line.vocalist), ['Nick Carter', 'Nick Carter']);
+      assert.strictEqual(result.parsedLyrics[1].line, 'Baby: tell me why');
+    });
+    
+    it('should only recognise the configured label formats', () => {
+      const result = parseLyricsWithVocalists(`[Chorus: Nick Carter &amp; Brian Littrell]
+(Brian Littrell)
+Tell me why`, { speakerLabels: ['prefix'] });
+      
+      assert.strictEqual(result.parsedLyrics.length, 2);
+      assert.strictEqual(result.parsedLyrics[0].role, 'backing');
+      assert.deepStrictEqual(result.parsedLyrics[1].credits, ['Nick Carter', 'Brian Littrell']);
+    });
+    
+    it('should count words in lyrics written without spaces', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1: Kenji]
+愛してる君を`, { locale: 'ja' });
+      
+      assert.ok(result.vocalistStats.Kenji.words > 1);
+      assert.strictEqual(result.vocalistStats.Kenji.syllables, 6);
+    });
+    
+    it('should decode entities in segment text', () => {
+      const result = parseLyricsWithVocalists(`[Verse 1: Nick Carter]
+It&#x27;s &quot;you&quot; &amp; me`);
+      
+      assert.strictEqual(result.parsedLyrics[0].segments[0].text, 'It\'s "you" & me');
+      assert.strictEqual(result.vocalistStats['Nick Carter'].words, 3);
+    });
+    
+    it('should skip lines holding only zero-width spaces', () => {
+      const result = parseLyricsWithVocalists('[Verse 1: Nick Carter]\n\u200B\nTell me why');
+      
+      assert.strictEqual(result.parsedLyrics.length, 1);
+    });
+    
     it('should handle multi-line formatting tags', () => {
       const sampleLyrics = `[Verse 1: <b>Test Singer</b>]
 <b>Start of formatted section
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const {
+  DEFAULT_RELEASE_PREFERENCES,
+  scoreRelease,
+  rankReleases,
+  selectBestRelease,
+  summarizeRelease
+} = require('../../src/scrapers/musicbrainz.js');
+
+describe('MusicBrainz Scraper Tests', () => {
+  
+  const release = (id, fields = {}) => ({
+    id,
+    title: 'Millennium',
+    status: 'Official',
+    date: '1999-05-18',
+    country: 'US',
+    'track-count': 12,
+    media: [{ format: 'CD', 'track-count': 12 }],
+    ...fields
+  });
+  
+  const releases = [
+    release('promo', { status: 'Promotion' }),
+    release('bootleg', { status: 'Bootleg', country: 'RU', date: '2001' }),
+    release('cassette', { media: [{ format: 'Cassette', 'track-count': 12 }] }),
+    release('reissue', { date: '2004-03-02', country: 'XW', media: [{ format: 'Digital Media', 'track-count': 12 }] }),
+    release('original')
+  ];
+  
+  describe('scoreRelease', () => {
+    
+    const context = { albumName: 'Millennium', earliestYear: 1999, commonTrackCount: 12 };
+    
+    it('should give every factor its full weight to an ideal release', () => {
+      const result = scoreRelease(release('original'), context);
+      const weights = DEFAULT_RELEASE_PREFERENCES.weights;
+      
+      assert.strictEqual(result.score, Object.values(weights).reduce((sum, weight) => sum + weight, 0));
+      assert.deepStrictEqual(result.reasons, [
+        'title matches (+20)',
+        'Official (+40)',
+        'earliest date 1999-05-18 (+20)',
+        'preferred country US (+15)',
+        'format CD (+10)',
+        '12 tracks, the usual count (+10)'
+      ]);
+    });
+    
+    it('should rank Official over Promotion and penalise bootlegs', () => {
+      const official = scoreRelease(release('official'), context).score;
+      const promo = scoreRelease(release('promo', { status: 'Promotion' }), context).score;
+      const bootleg = scoreRelease(release('bootleg', { status: 'Bootleg' }), context);
+      
+      assert.ok(official > promo);
+      assert.ok(bootleg.reasons.includes('Bootleg (-20)'));
+    });
+    
+    it('should score later releases lower and skip unknown factors', () => {
+      const result = scoreRelease(release('later', { date: '2001', country: 'JP', title: 'Millennium (Japan Edition)', 'track-count': 14, media: [] }), context);
+      
+      assert.deepStrictEqual(result.reasons, ['Official (+40)', 'released 2001, 2 year(s) after the first (+12)']);
+    });
+    
+    it('should score later preferred countries and formats lower', () => {
+      const result = scoreRelease(release('xw', { country: 'XW', media: [{ format: 'CD' }, { format: 'Digital Media' }] }), context);
+      
+      assert.ok(result.reasons.includes('preferred country XW (+10)'));
+      assert.ok(result.reasons.includes('format CD + Digital Media (+6.7)'));
+    });
+    
+    it('should follow custom preferences and weights', () => {
+      const result = scoreRelease(release('gb', { country: 'GB' }), context, { countries: ['GB'], formats: [], weights: { title: 0, date: 0 } });
+      
+      assert.deepStrictEqual(result.reasons, ['Official (+40)', 'preferred country GB (+15)', '12 tracks, the usual count (+10)']);
+    });
+  });
+  
+  describe('rankReleases', () => {
+    
+    it('should put the earliest official CD release first', () => {
+      const ranking = rankReleases(releases, { albumName: 'Millennium' });
+      
+      assert.strictEqual(ranking[0].release.id, 'original');
+      assert.strictEqual(ranking[ranking.length - 1].release.id, 'bootleg');
+      assert.ok(ranking.every((entry, index) => index === 0 || ranking[index - 1].score >= entry.score));
+    });
+    
+    it('should keep search order for equal scores', () => {
+      const ranking = rankReleases([release('first'), release('second')], { albumName: 'Millennium' });
+      
+      assert.deepStrictEqual(ranking.map(entry => entry.release.id), ['first', 'second']);
+    });
+  });
+  
+  describe('selectBestRelease', () => {
+    
+    it('should pick the best-scoring release', () => {
+      assert.strictEqual(selectBestRelease(releases, { albumName: 'Millennium' }).id, 'original');
+    });
+    
+    it('should pick another place in the ranking when asked', () => {
+      const ranking = rankReleases(releases, { albumName: 'Millennium' });
+      
+      assert.strictEqual(selectBestRelease(releases, { albumName: 'Millennium', selectIndex: 1 }).id, ranking[1].release.id);
+      assert.strictEqual(selectBestRelease(releases, { albumName: 'Millennium', selectIndex: 99 }).id, 'original');
+    });
+    
+    it('should return null without releases', () => {
+      assert.strictEqual(selectBestRelease([]), null);
+      assert.strictEqual(selectBestRelease(null), null);
+    });
+  });
+  
+  describe('summarizeRelease', () => {
+    
+    it('should list the details shown in the release table', () => {
+      const summary = summarizeRelease(release('deluxe', { media: [{ format: 'CD' }, { format: 'CD' }, { format: 'DVD-Video' }], 'track-count': 17 }));
+      
+      assert.deepStrictEqual(summary, {
+        id: 'deluxe',
+        title: 'Millennium',
+        date: '1999-05-18',
+        country: 'US',
+        status: 'Official',
+        format: 'CD + DVD-Video',
+        trackCount: 17
+      });
+    });
+    
+    it('should use null for unknown details', () => {
+      const summary = summarizeRelease({ id: 'bare', title: 'Millennium' });
+      
+      assert.deepStrictEqual(summary, { id: 'bare', title: 'Millennium', date: null, country: null, status: null, format: null, trackCount: null });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const assert = require('assert');
+const {
+  normalizeAlias,
+  createRoster,
+  resolveVocalistName,
+  splitDuoCredit,
+  getCurrentMembers,
+  expandCredit
+} = require('../../src/processors/roster.js');
+
+describe('Roster Tests', () => {
+  
+  const rosterConfig = {
+    groupLabels: ['All', 'Backstreet Boys'],
+    members: [
+      { name: 'Nick Carter', aliases: ['Nick', 'N. Carter'], color: 'blue' },
+      { name: 'AJ McLean', aliases: ['AJ'] },
+      { name: 'Kevin Richardson', aliases: ['Kevin'], current: false }
+    ]
+  };
+  
+  describe('normalizeAlias', () => {
+    
+    it('should strip tags, entities, case and punctuation', () => {
+      assert.strictEqual(normalizeAlias('<b>Nick Carter</b>'), 'nick carter');
+      assert.strictEqual(normalizeAlias('N. Carter'), 'n carter');
+      assert.strictEqual(normalizeAlias('A.J.'), 'aj');
+      assert.strictEqual(normalizeAlias('AJ &amp; Brian'), 'aj & brian');
+      assert.strictEqual(normalizeAlias('Beyonc&#xE9;'), 'beyoncé');
+    });
+    
+    it('should match decomposed and composed characters', () => {
+      assert.strictEqual(normalizeAlias('\u1109\u1161\u1105\u1161\u11BC'), normalizeAlias('사랑'));
+    });
+    
+  });
+  
+  describe('createRoster', () => {
+    
+    it('should return null without members', () => {
+      assert.strictEqual(createRoster(null), null);
+      assert.strictEqual(createRoster({ members: [] }), null);
+    });
+    
+    it('should keep member colours', () => {
+      const roster = createRoster(rosterConfig);
+      assert.strictEqual(roster.members[0].color, 'blue');
+      assert.strictEqual(roster.members[1].color, null);
+    });
+    
+  });
+  
+  describe('resolveVocalistName', () => {
+    
+    const roster = createRoster(rosterConfig);
+    
+    it('should resolve canonical names and aliases', () => {
+      assert.deepStrictEqual(resolveVocalistName('Nick', roster), { name: 'Nick Carter', matched: true, isGroup: false });
+      assert.deepStrictEqual(resolveVocalistName('N. Carter', roster), { name: 'Nick Carter', matched: true, isGroup: false });
+      assert.deepStrictEqual(resolveVocalistName('nick carter', roster), { name: 'Nick Carter', matched: true, isGroup: false });
+      assert.deepStrictEqual(resolveVocalistName('A.J.', roster), { name: 'AJ McLean', matched: true, isGroup: false });
+    });
+    
+    it('should keep unmatched names as they are', () => {
+      assert.deepStrictEqual(resolveVocalistName('Howie', roster), { name: 'Howie', matched: false, isGroup: false });
+    });
+    
+    it('should resolve group labels to the group credit', () => {
+      assert.deepStrictEqual(resolveVocalistName('All', roster), { name: 'Group', matched: true, isGroup: true });
+      assert.deepStrictEqual(resolveVocalistName('<i>Backstreet Boys</i>', roster), { name: 'Group', matched: true, isGroup: true });
+    });
+    
+    it('should resolve duo credits member by member', () => {
+      assert.deepStrictEqual(resolveVocalistName('Nick &amp; AJ', roster), { name: 'Nick Carter & AJ McLean', matched: true, isGroup: false });
+      assert.deepStrictEqual(resolveVocalistName('Nick & Howie', roster), { name: 'Nick Carter & Howie', matched: false, isGroup: false });
+    });
+    
+    it('should not match anything without a roster', () => {
+      assert.deepStrictEqual(resolveVocalistName('Nick', null), { name: 'Nick', matched: false, isGroup: false });
+    });
+    
+  });
+  
+  describe('expandCredit', () => {
+    
+    const roster = createRoster(rosterConfig);
+    
+    it('should only list current members', () => {
+      assert.deepStrictEqual(getCurrentMembers(roster), ['Nick Carter', 'AJ McLean']);
+    });
+    
+    it('should credit every member fully in full mode', () => {
+      assert.deepStrictEqual(expandCredit('Group', roster, 'full'), [
+        { name: 'Nick Carter', weight: 1 },
+        { name: 'AJ McLean', weight: 1 }
+      ]);
+    });
+    
+    it('should split the credit evenly in split mode', () => {
+      assert.deepStrictEqual(expandCredit('Group', roster, 'split'), [
+        { name: 'Nick Carter', weight: 0.5 },
+        { name: 'AJ McLean', weight: 0.5 }
+      ]);
+    });
+    
+    it('should keep a group bucket in group mode', () => {
+      assert.deepStrictEqual(expandCredit('Group', roster, 'group'), [{ name: 'Group', weight: 1 }]);
+    });
+    
+    it('should split duo credits into members', () => {
+      assert.deepStrictEqual(splitDuoCredit('AJ & Brian'), ['AJ', 'Brian']);
+      assert.deepStrictEqual(splitDuoCredit('AJ'), ['AJ']);
+      assert.deepStrictEqual(expandCredit('AJ & Brian', null), [
+        { name: 'AJ', weight: 1 },
+        { name: 'Brian', weight: 1 }
+      ]);
+      assert.deepStrictEqual(expandCredit('AJ & Brian', roster, 'split'), [
+        { name: 'AJ', weight: 0.5 },
+        { name: 'Brian', weight: 0.5 }
+      ]);
+    });
+    
+    it('should leave individual credits alone', () => {
+      assert.deepStrictEqual(expandCredit('Nick Carter', roster, 'split'), [{ name: 'Nick Carter', weight: 1 }]);
+    });
+    
+  });
+  
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const {
+  countWordSyllables,
+  countSyllables
+} = require('../../src/processors/syllables.js');
+
+describe('Syllable Tests', () => {
+  
+  describe('countWordSyllables', () => {
+    
+    it('should count vowel groups', () => {
+      assert.strictEqual(countWordSyllables('you'), 1);
+      assert.strictEqual(countWordSyllables('heartache'), 2);
+      assert.strictEqual(countWordSyllables('original'), 4);
+    });
+    
+    it('should ignore silent endings', () => {
+      assert.strictEqual(countWordSyllables('time'), 1);
+      assert.strictEqual(countWordSyllables('loved'), 1);
+      assert.strictEqual(countWordSyllables('smiles'), 1);
+      assert.strictEqual(countWordSyllables('lonely'), 2);
+    });
+    
+    it('should keep syllables the endings add', () => {
+      assert.strictEqual(countWordSyllables('wanted'), 2);
+      assert.strictEqual(countWordSyllables('table'), 2);
+    });
+    
+    it('should treat y before a vowel as a consonant', () => {
+      assert.strictEqual(countWordSyllables('playing'), 2);
+      assert.strictEqual(countWordSyllables('beyond'), 2);
+    });
+    
+    it('should use the exceptions list for vocalisations', () => {
+      assert.strictEqual(countWordSyllables('yeah'), 1);
+      assert.strictEqual(countWordSyllables('Ooooh'), 1);
+      assert.strictEqual(countWordSyllables('whoa'), 1);
+      assert.strictEqual(countWordSyllables('wanna'), 2);
+    });
+    
+    it('should return 0 for words without letters', () => {
+      assert.strictEqual(countWordSyllables('...'), 0);
+    });
+    
+  });
+  
+  describe('countSyllables', () => {
+    
+    it('should sum the syllables of a line', () => {
+      assert.strictEqual(countSyllables("Ain't nothing but a heartache"), 7);
+    });
+    
+    it('should split hyphenated vocalisations', () => {
+      assert.strictEqual(countSyllables('(Whoa-oh, yeah)'), 3);
+    });
+    
+    it('should ignore HTML entities', () => {
+      assert.strictEqual(countSyllables('You &amp; me'), 2);
+    });
+    
+    it('should count each Chinese, Korean or Japanese character as a syllable', () => {
+      assert.strictEqual(countSyllables('사랑해 너를'), 5);
+      assert.strictEqual(countSyllables('我爱你'), 3);
+      assert.strictEqual(countSyllables('愛してる'), 4);
+    });
+    
+    it('should merge small kana into the syllable before them', () => {
+      assert.strictEqual(countSyllables('きゃ'), 1);
+    });
+    
+    it('should ignore accents', () => {
+      assert.strictEqual(countSyllables('corazón'), 3);
+    });
+    
+  });
+  
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const {
+  decodeEntities,
+  normalizeText,
+  countWords
+} = require('../../src/processors/text.js');
+
+describe('Text Tests', () => {
+  
+  describe('decodeEntities', () => {
+    
+    it('should decode named entities', () => {
+      assert.strictEqual(decodeEntities('You &amp; me &quot;forever&quot;'), 'You & me "forever"');
+    });
+    
+    it('should decode numeric character references', () => {
+      assert.strictEqual(decodeEntities('It&#x27;s &#39;cause &#x2665;'), "It's 'cause ♥");
+    });
+    
+    it('should leave unknown entities alone', () => {
+      assert.strictEqual(decodeEntities('&bogus; &#x110000;'), '&bogus; &#x110000;');
+    });
+    
+  });
+  
+  describe('normalizeText', () => {
+    
+    it('should compose decomposed characters', () => {
+      assert.strictEqual(normalizeText('cafe\u0301'), 'caf\u00E9');
+      assert.strictEqual(normalizeText('\u1109\u1161\u1105\u1161\u11BC'), '사랑');
+    });
+    
+    it('should remove zero-width spaces', () => {
+      assert.strictEqual(normalizeText('\uFEFFTell\u200B me why'), 'Tell me why');
+    });
+    
+  });
+  
+  describe('countWords', () => {
+    
+    it('should count English words and ignore punctuation', () => {
+      assert.strictEqual(countWords("Ain't nothing but a heartache"), 5);
+      assert.strictEqual(countWords('Tell me why - yeah!'), 4);
+    });
+    
+    it('should count hyphenated words once', () => {
+      assert.strictEqual(countWords('(Whoa-oh, yeah)'), 2);
+    });
+    
+    it('should split words in scripts written without spaces', () => {
+      assert.ok(countWords('愛してる君を', 'ja') > 1);
+      assert.ok(countWords('我爱你中国', 'zh') > 1);
+    });
+    
+    it('should count Korean words between spaces', () => {
+      assert.strictEqual(countWords('사랑해 너를 정말', 'ko'), 3);
+    });
+    
+  });
+  
+});
\ No newline at end of file